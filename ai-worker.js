@@ -0,0 +1,106 @@
+// Computer opponent for Avengement Lite
+// Runs in a Web Worker so the search never blocks the board. Each request gets one action
+// (or a hint, which adds the evaluation behind it, or a move-by-move analysis of a finished game):
+// perfect play from the endgame table when it is served and decides the position, otherwise
+// a cached proof or a time-limited MCTS search.
+
+importScripts('rules.js', 'mcts-solver.js', 'retrograde-solver.js');
+
+const solver = new MCTS.MCTSSolver();
+const endgame = new Retrograde.RetrogradeSolver();
+
+// Both proof files are optional; the worker falls back to plain search without them. The
+// endgame table is too large to commit: run `node retrograde-solver.js` to build it. Without
+// it, hints prove only the positions in the committed mcts-cache.json (rebuild that with
+// `node mcts-solver.js` whenever CACHE_VERSION changes).
+const ready = Promise.all([
+    fetch(Retrograde.TABLE_FILE)
+        .then(response => response.ok ? response.arrayBuffer() : null)
+        .then(buffer => buffer && endgame.loadTableData(buffer))
+        .catch(() => false),
+    fetch(MCTS.CACHE_FILE)
+        .then(response => response.ok ? response.json() : null)
+        .then(data => data && solver.loadCacheData(data))
+        .catch(() => false)
+]);
+
+// Exact evaluation from the endgame table, in the same proof terms as the MCTS cache
+function tableProof(state) {
+    const result = endgame.table && endgame.lookup(state);
+    if (!result) return null;
+
+    const mover = Rules.sideOf(state.ruleset, state.currentPlayer);
+    if (result.winner === 0) {
+        return { proofStatus: 'proven-draw', proofPlayer: null, distance: result.distance };
+    }
+    return { proofStatus: result.winner === mover ? 'proven-win' : 'proven-loss', proofPlayer: mover, distance: result.distance };
+}
+
+// Winner implied by a position's proof: the finished result, else the table, else the MCTS proof
+function provenWinner(state, proof) {
+    if (state.gameOver) return state.winner || 0;
+    const exact = tableProof(state);
+    if (exact) return MCTS.proofWinner(exact.proofStatus, exact.proofPlayer);
+    return proof ? MCTS.proofWinner(proof.proofStatus, proof.proofPlayer) : null;
+}
+
+// Judge each action of a game from the mover's point of view: the proven winner before and
+// after it, its MCTS win rate and the best alternative. Positions with one legal action are skipped.
+function analyzeActions(id, setup, actions, timeBudget) {
+    const results = [];
+    let state = setup;
+
+    actions.forEach((action, index) => {
+        const next = Rules.applyAction(state, action);
+        if (Rules.legalActions(state).length > 1) {
+            const tableAction = endgame.table && endgame.bestAction(state);
+            const evaluation = tableAction ? null : solver.evaluatePosition(state, timeBudget);
+            const played = evaluation && evaluation.alternatives.find(alternative => Rules.sameAction(alternative.move, action));
+            const best = tableAction || (evaluation && evaluation.bestMove);
+            const bestAlternative = evaluation && evaluation.alternatives[0];
+
+            results.push({
+                index,
+                player: state.currentPlayer,
+                side: Rules.sideOf(state.ruleset, state.currentPlayer),
+                winnerBefore: provenWinner(state, evaluation && evaluation.proof),
+                winnerAfter: provenWinner(next, played),
+                playedRate: played ? played.winRate : null,
+                bestRate: bestAlternative ? bestAlternative.winRate : null,
+                best: best && !Rules.sameAction(best, action) ? Rules.describeAction(best, state.ruleset) : null
+            });
+        }
+
+        state = next;
+        self.postMessage({ id, progress: { done: index + 1, total: actions.length } });
+    });
+    return results;
+}
+
+// Message in: { id, type: 'action' | 'hint', state, timeBudget } or { id, type: 'analyze', setup, actions, timeBudget }
+// Message out: { id, action }, { id, hint: { proof, action, alternatives } },
+// or { id, progress: { done, total } } messages followed by { id, analysis }
+self.onmessage = async event => {
+    const { id, type = 'action', state, timeBudget } = event.data;
+    await ready;
+
+    if (type === 'analyze') {
+        self.postMessage({ id, analysis: analyzeActions(id, event.data.setup, event.data.actions, timeBudget) });
+        return;
+    }
+
+    const tableAction = endgame.table && endgame.bestAction(state);
+    if (type === 'hint') {
+        const evaluation = solver.evaluatePosition(state, timeBudget);
+        const action = tableAction || evaluation.bestMove;
+        self.postMessage({ id, hint: {
+            proof: tableProof(state) || evaluation.proof,
+            action: action && { type: action.type, row: action.row, col: action.col },
+            alternatives: evaluation.alternatives.slice(0, 5).map(({ move, ...alternative }) => alternative)
+        } });
+        return;
+    }
+
+    const action = tableAction || solver.findBestAction(state, timeBudget);
+    self.postMessage({ id, action: { type: action.type, row: action.row, col: action.col } });
+};
@@ -0,0 +1,70 @@
+// Game Log Text for Avengement Lite
+// Turns the events reported by Rules.applyAction into game-log entries. Shared by the
+// game (game.js) and the spectator page (spectator.js) so both logs read the same.
+
+(function (root) {
+    // Log entries ({ text, type }) for one event; most events give one entry, some none
+    function describeEvent(event) {
+        switch (event.type) {
+            case 'rest':
+                return [{ text: `Player ${event.player} rests: +${event.hpGained} HP, +1 AP`, type: 'heal' }];
+            case 'selectFighter':
+                return [{ text: `Player ${event.player} steps up to act for the team`, type: 'action' }];
+            case 'move':
+                return [{ text: `Player ${event.player} moves to (${event.row}, ${event.col})`, type: 'action' }];
+            case 'strike':
+                return [{ text: `Player ${event.player} strikes Player ${event.target} for ${event.damage} damage!`, type: 'damage' }];
+            case 'shove':
+                return [{ text: `Player ${event.player} shoves Player ${event.target} to (${event.row}, ${event.col})`, type: 'action' }];
+            case 'hazard':
+                return [{ text: `Player ${event.player} lands on a hazard and takes ${event.damage} damage!`, type: 'damage' }];
+            case 'skipShove':
+                return [{ text: `Player ${event.player} skips the shove`, type: 'action' }];
+            case 'lungingCombo': {
+                const entries = [{ text: `Player ${event.player} performs Lunging Strike combo ${event.phase + 1}/${event.combos}`, type: 'action' }];
+                if (event.hits.length === 0) {
+                    entries.push({ text: `  No enemies adjacent - no damage dealt`, type: 'action' });
+                }
+                return entries;
+            }
+            case 'bash':
+                return [{ text: `Player ${event.player} lands a Shield Bash on Player ${event.target} for ${event.damage} damage!`, type: 'damage' }];
+            case 'shot':
+                return [{ text: `Player ${event.player} hits Player ${event.target} with a Long Shot for ${event.damage} damage!`, type: 'damage' }];
+            case 'secondWind':
+                return [{ text: `Player ${event.player} catches a Second Wind: +${event.hpGained} HP`, type: 'heal' }];
+            case 'lungingMove':
+                return [{ text: `  ${event.stayed ? 'Stayed at' : 'Moved to'} (${event.row}, ${event.col})`, type: 'action' }];
+            case 'stunned':
+                return [{ text: `Player ${event.player} is stunned until end of next turn!`, type: 'action' }];
+            case 'unstunned':
+                return [{ text: `Player ${event.player} is no longer stunned`, type: 'action' }];
+            case 'eliminated':
+                return [{ text: `Player ${event.player} is eliminated and leaves the board!`, type: 'damage' }];
+            case 'terrainHeal':
+                return [{ text: `Player ${event.player} ends the turn on a healing square: +${event.hpGained} HP`, type: 'heal' }];
+            case 'turnStarted':
+                return [{ text: `Turn ended. Player ${event.player}'s turn begins.`, type: 'action' }];
+            case 'gameOver':
+                return [{
+                    text: event.winner === null
+                        ? `Turn limit of ${event.maxTurns} reached - the game is a draw!`
+                        : `${event.teams ? 'Team' : 'Player'} ${event.winner} wins!`,
+                    type: 'action'
+                }];
+            default:
+                return [];
+        }
+    }
+
+    const EventLog = {
+        describeEvent
+    };
+
+    // Export for use in Node.js or browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EventLog;
+    } else {
+        root.EventLog = EventLog;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,157 @@
+// Game Records for Avengement Lite
+// A record is a versioned JSON document holding the ruleset a game was played under,
+// its starting position and every action in order. Positions are never stored:
+// replaying the actions through rules.js rebuilds them, and rejects a tampered record.
+
+(function (root) {
+    const Rules = typeof module !== 'undefined' && module.exports ? require('./rules') : root.Rules;
+
+    const RECORD_FORMAT = 'avengement-lite-record';
+    const RECORD_VERSION = 2;
+
+    // Version 1 records predate configurable rules: they were all played under the standard
+    // ruleset, and listed these of its values
+    const VERSION_1_RULESET = {
+        boardSize: 3, maxHp: 7, maxAp: 6, strikeDamage: 2, shoveCost: 1, lungingCost: 3, lungingCombos: 3, maxTurns: 50
+    };
+
+    // The checked ruleset a record was played under; throws if it is invalid
+    function recordRuleset(record) {
+        if (record.version === 1) {
+            for (const [name, value] of Object.entries(VERSION_1_RULESET)) {
+                if (!record.ruleset || record.ruleset[name] !== value) {
+                    throw new Error(`Record was played under different rules (${name})`);
+                }
+            }
+            return Rules.DEFAULT_RULESET;
+        }
+
+        try {
+            return Rules.createRuleset(record.ruleset);
+        } catch (err) {
+            throw new Error(`Record has invalid rules: ${err.message}`);
+        }
+    }
+
+    // Copy only the rules fields of a state, dropping UI or solver extras
+    function rulesState(state) {
+        const copy = {};
+        for (const key of Object.keys(Rules.initialState())) {
+            copy[key] = state[key];
+        }
+        return Rules.cloneState(copy);
+    }
+
+    // Every game starts from its ruleset's starting position, so a record's setup must be that
+    // position. Fields the setup leaves out (from records written before they existed) take
+    // their starting values; the board, fighters, mover and turn must be given.
+    function startingPosition(setup, ruleset) {
+        const start = Rules.initialState(ruleset);
+        const missing = ['board', 'players', 'currentPlayer', 'turn'].some(key => setup[key] === undefined);
+        const differs = key => key !== 'ruleset' && setup[key] !== undefined && JSON.stringify(setup[key]) !== JSON.stringify(start[key]);
+        if (missing || Object.keys(start).some(differs)) {
+            throw new Error('Record setup is not the starting position of its rules');
+        }
+        return start;
+    }
+
+    // Build a record from a starting position and the actions played from it
+    function createRecord(setup, actions) {
+        let state = rulesState(setup);
+        const entries = actions.map(({ type, row, col }) => {
+            const entry = { player: state.currentPlayer, turn: state.turn, type };
+            if (row !== undefined) {
+                entry.row = row;
+                entry.col = col;
+            }
+            state = Rules.applyAction(state, { type, row, col });
+            return entry;
+        });
+
+        const { ruleset, ...position } = rulesState(setup);
+        return {
+            format: RECORD_FORMAT,
+            version: RECORD_VERSION,
+            ruleset,
+            setup: position,
+            actions: entries,
+            result: state.gameOver ? { winner: state.winner, turn: state.turn } : null
+        };
+    }
+
+    // Check a record and replay it. Returns the actions and every position along the way
+    // (states[i] is the position before actions[i]); throws an Error describing any problem.
+    function replayRecord(record) {
+        if (!record || record.format !== RECORD_FORMAT) {
+            throw new Error('Not an Avengement Lite game record');
+        }
+        if (record.version !== 1 && record.version !== RECORD_VERSION) {
+            throw new Error(`Unsupported record version ${record.version} (expected ${RECORD_VERSION})`);
+        }
+
+        const ruleset = recordRuleset(record);
+        if (!record.setup || typeof record.setup !== 'object' || !Array.isArray(record.actions)) {
+            throw new Error('Record is missing its setup or actions');
+        }
+        if (!record.actions.every(action => action && typeof action === 'object')) {
+            throw new Error('Record has an action that is not an object');
+        }
+
+        const actions = record.actions.map(({ type, row, col }) => ({ type, row, col }));
+        const states = [startingPosition(record.setup, ruleset)];
+        actions.forEach((action, i) => {
+            try {
+                states.push(Rules.applyAction(states[i], action));
+            } catch (err) {
+                throw new Error(`Action ${i + 1} cannot be replayed: ${err.message}`);
+            }
+        });
+        return { actions, states };
+    }
+
+    // Check a saved game as the game page keeps them in localStorage, { record, opponent, savedAt },
+    // and replay its record; throws an Error describing any problem
+    function replaySave(save) {
+        if (!save || typeof save !== 'object') {
+            throw new Error('Saved game is not an object');
+        }
+        if (typeof save.savedAt !== 'string' || Number.isNaN(Date.parse(save.savedAt))) {
+            throw new Error('Saved game has no valid save time');
+        }
+
+        const replayed = replayRecord(save.record);
+        const opponent = save.opponent === undefined ? null : save.opponent;
+        if (opponent !== null && !Rules.sideIds(replayed.states[0].ruleset).includes(opponent)) {
+            throw new Error(`Saved game has an unknown computer opponent (${opponent})`);
+        }
+        return replayed;
+    }
+
+    // Parse and replay a record from JSON text
+    function parseRecord(text) {
+        let record;
+        try {
+            record = JSON.parse(text);
+        } catch (err) {
+            throw new Error('Game record is not valid JSON');
+        }
+        return replayRecord(record);
+    }
+
+    const GameRecord = {
+        RECORD_FORMAT,
+        RECORD_VERSION,
+        rulesState,
+        createRecord,
+        replayRecord,
+        replaySave,
+        parseRecord
+    };
+
+    // Export for use in Node.js or browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GameRecord;
+    } else {
+        root.GameRecord = GameRecord;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,188 @@
+// Page Furniture for Avengement Lite
+// The parts of the page drawn the same way for the game (game.js) and the spectator page
+// (spectator.js): the board's ARIA grid and its screen-reader labels, the player panels, the
+// game log and the live region that reads it out. Each page keeps its own state and controls.
+
+(function (root) {
+    const Rules = typeof module !== 'undefined' && module.exports ? require('./rules') : root.Rules;
+
+    // Messages kept in the screen-reader live region (see announce)
+    const ANNOUNCER_HISTORY = 10;
+
+    // Create the board's squares for a ruleset, as an ARIA grid of rows of cells (the rows take
+    // no space of their own, so the squares still lay out on the board's CSS grid).
+    // setUpCell(cell, row, col), if given, adds a page's own handlers to each square.
+    function createBoard(ruleset, setUpCell = null) {
+        const boardElement = document.getElementById('board');
+        boardElement.innerHTML = '';
+
+        const { boardWidth, boardHeight } = ruleset;
+        boardElement.style.setProperty('--board-cols', boardWidth);
+        boardElement.style.setProperty('--board-rows', boardHeight);
+        boardElement.dataset.size = `${boardWidth}x${boardHeight}`;
+        for (let row = 0; row < boardHeight; row++) {
+            const rowElement = document.createElement('div');
+            rowElement.className = 'board-row';
+            rowElement.setAttribute('role', 'row');
+            for (let col = 0; col < boardWidth; col++) {
+                const cell = document.createElement('div');
+                cell.className = 'cell';
+                cell.id = `cell-${row}-${col}`;
+                cell.setAttribute('role', 'gridcell');
+                cell.dataset.row = row;
+                cell.dataset.col = col;
+                cell.dataset.coords = `${row},${col}`;
+                if (setUpCell) {
+                    setUpCell(cell, row, col);
+                }
+                rowElement.appendChild(cell);
+            }
+            boardElement.appendChild(rowElement);
+        }
+    }
+
+    // A board square as read out by screen readers, e.g. "Row 1, Column 2, Player 2, 5 HP"
+    // (rows and columns counted from 1, unlike the coordinates shown on the squares)
+    function describeCell(state, position) {
+        const { board, players, currentPlayer, gameOver, ruleset } = state;
+        const parts = [`Row ${position.row + 1}`, `Column ${position.col + 1}`];
+        const player = board[position.row][position.col];
+        if (player !== null) {
+            parts.push(`Player ${player}`, `${players[player].hp} HP`);
+            if (ruleset.teams) {
+                parts.push(`Team ${Rules.sideOf(ruleset, player)}`);
+            }
+            if (players[player].stunned) {
+                parts.push('stunned');
+            }
+            if (!gameOver && player === currentPlayer) {
+                parts.push('to move');
+            }
+        }
+        const terrain = Rules.terrainAt(ruleset, position);
+        if (terrain) {
+            parts.push(`${terrain} square`);
+        }
+        return parts.join(', ');
+    }
+
+    // Create a panel for each player: odd-numbered players on the left of the turn indicator,
+    // even-numbered players on the right, each column headed by its team with teams
+    function createPlayerPanels(ruleset) {
+        const columns = [document.getElementById('players-right'), document.getElementById('players-left')];
+        columns.forEach(column => column.innerHTML = '');
+
+        // With teams each column is one team, headed by its combined HP
+        if (ruleset.teams) {
+            for (const side of Rules.sideIds(ruleset)) {
+                const summary = document.createElement('div');
+                summary.className = `team-summary team${side}-summary`;
+                summary.innerHTML = `<h2>Team ${side}</h2><div class="stat">Team HP: <span id="team${side}-hp"></span>/<span id="team${side}-max-hp"></span></div>`;
+                columns[side % 2].appendChild(summary);
+            }
+        }
+
+        for (const player of Rules.playerIds(ruleset)) {
+            const panel = document.createElement('div');
+            panel.className = `player-panel player${player}-panel`;
+            panel.innerHTML = `
+                <h2>Player ${player}</h2>
+                <div id="p${player}-class" class="fighter-class"></div>
+                <div class="stats">
+                    <div class="stat">HP: <span id="p${player}-hp"></span>/<span id="p${player}-max-hp"></span></div>
+                    <div class="stat">AP: <span id="p${player}-ap"></span>/<span id="p${player}-max-ap"></span></div>
+                </div>
+                <div id="p${player}-status" class="status-indicator"></div>`;
+            columns[player % 2].appendChild(panel);
+        }
+    }
+
+    // Show a position on the player panels (rebuilt first for a game with other players or
+    // teams): each fighter's class, HP, AP and stun, who is to move, and with teams each team's HP
+    function updatePlayerPanels(state) {
+        const { players, currentPlayer, gameOver, ruleset } = state;
+        if (document.querySelectorAll('.game-info .player-panel').length !== ruleset.playerCount ||
+            (document.querySelector('.game-info .team-summary') !== null) !== ruleset.teams) {
+            createPlayerPanels(ruleset);
+        }
+
+        for (const player of Rules.playerIds(ruleset)) {
+            const stats = players[player];
+            const fighter = Rules.fighterStats(ruleset, player);
+            document.getElementById(`p${player}-class`).textContent = `${fighter.name} - ${Rules.ABILITIES[fighter.ability].name}`;
+            document.getElementById(`p${player}-hp`).textContent = stats.hp;
+            document.getElementById(`p${player}-max-hp`).textContent = stats.maxHp;
+            document.getElementById(`p${player}-ap`).textContent = stats.ap;
+            document.getElementById(`p${player}-max-ap`).textContent = fighter.maxAp;
+
+            const statusDiv = document.getElementById(`p${player}-status`);
+            if (stats.hp <= 0) {
+                statusDiv.textContent = 'Eliminated';
+                statusDiv.className = 'status-indicator eliminated';
+            } else if (stats.stunned) {
+                statusDiv.textContent = 'Stunned (Cannot act next turn)';
+                statusDiv.className = 'status-indicator stunned';
+            } else {
+                statusDiv.textContent = '';
+                statusDiv.className = 'status-indicator';
+            }
+
+            const panel = document.querySelector(`.player${player}-panel`);
+            panel.classList.toggle('active', !gameOver && player === currentPlayer);
+            panel.classList.toggle('eliminated', stats.hp <= 0);
+        }
+
+        if (ruleset.teams) {
+            const side = Rules.sideOf(ruleset, currentPlayer);
+            for (const team of Rules.sideIds(ruleset)) {
+                const fighters = Rules.playerIds(ruleset).filter(id => Rules.sideOf(ruleset, id) === team);
+                const total = field => fighters.reduce((sum, id) => sum + players[id][field], 0);
+                document.getElementById(`team${team}-hp`).textContent = total('hp');
+                document.getElementById(`team${team}-max-hp`).textContent = total('maxHp');
+                document.querySelector(`.team${team}-summary`).classList.toggle('active', !gameOver && team === side);
+            }
+        }
+    }
+
+    // Add an entry to the game log and read it out, unless asked not to; returns the entry
+    function logMessage(text, type = 'action', announced = true) {
+        const logContent = document.getElementById('log-content');
+        const entry = document.createElement('div');
+        entry.className = `log-entry ${type}`;
+        entry.textContent = text;
+        logContent.appendChild(entry);
+        logContent.scrollTop = logContent.scrollHeight;
+        if (announced) {
+            announce(text);
+        }
+        return entry;
+    }
+
+    // Have screen readers read out a message through the page's live region, which keeps only
+    // the last few so it does not grow through a long game
+    function announce(text) {
+        const region = document.getElementById('announcer');
+        const message = document.createElement('p');
+        message.textContent = text;
+        region.appendChild(message);
+        while (region.children.length > ANNOUNCER_HISTORY) {
+            region.firstElementChild.remove();
+        }
+    }
+
+    const GameView = {
+        createBoard,
+        describeCell,
+        createPlayerPanels,
+        updatePlayerPanels,
+        logMessage,
+        announce
+    };
+
+    // Export for use in Node.js or browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GameView;
+    } else {
+        root.GameView = GameView;
+    }
+})(typeof self !== 'undefined' ? self : this);
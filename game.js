@@ -1,64 +1,148 @@
-// Game State
+// Game State: the rules state from rules.js plus UI-only selection fields
 const gameState = {
-    board: Array(3).fill(null).map(() => Array(3).fill(null)),
-    players: {
-        1: { hp: 7, maxHp: 7, ap: 0, position: { row: 0, col: 1 }, stunned: false, stunnedThisTurn: false },
-        2: { hp: 7, maxHp: 7, ap: 0, position: { row: 2, col: 1 }, stunned: false, stunnedThisTurn: false }
-    },
-    currentPlayer: 1,
+    ...Rules.initialState(),
     currentAction: null,
-    selectedCell: null,
-    lungingStrikesState: null, // For tracking lunging strikes progress
-    pendingShove: null, // For tracking shove target after damage
-    hasActedThisTurn: false, // Track if any action taken this turn
-    hasRestedThisTurn: false, // Track if player has rested this turn
-    gameOver: false
+    selectedCell: null
+};
+
+// Action history for undo/redo: states[i] is the rules state before actions[i] was played,
+// and undone holds undone actions (most recent last) until a new action is played
+const actionHistory = {
+    actions: [],
+    states: [],
+    undone: []
+};
+
+// Replay viewer: the positions of a recorded or finished game and the one being shown.
+// states[i] is the position before actions[i], so index runs from 0 to actions.length.
+const replay = {
+    active: false,
+    actions: [],
+    states: [],
+    index: 0
+};
+
+// Post-game analysis of the finished game, run by the solver worker
+const ANALYSIS_THINK_TIME = 300; // MCTS budget (ms) per position the proof tables cannot decide
+const MISTAKE_MARGIN = 0.2; // Win-rate gap to the best alternative that makes an action a mistake
+const analysis = {
+    requestId: 0
+};
+
+// Saved games in localStorage, keyed by slot name: { record, opponent, savedAt }.
+// The game in play is saved to the active slot after every action.
+const SAVE_STORAGE_KEY = 'avengement-lite-saves';
+const AUTOSAVE_SLOT = 'Autosave';
+const saves = {
+    activeSlot: AUTOSAVE_SLOT
+};
+
+// Online play through server.js: the room joined, the fighter this browser controls, and
+// the seat token (kept per tab in sessionStorage) that lets a reconnect reclaim the seat
+const ONLINE_RECONNECT_DELAY = 2000; // ms before trying to reconnect a dropped connection
+const online = {
+    room: null,
+    socket: null,
+    player: null,
+    token: null,
+    opponentConnected: false
+};
+
+// Broadcasting the game in play to read-only spectators (spectate.html) through server.js:
+// the code they watch under, and the token that lets a reconnect resume the broadcast
+const broadcast = {
+    code: null,
+    socket: null,
+    token: null,
+    hosting: false,
+    spectators: 0
+};
+
+// Computer opponent: the player it controls (null for hot-seat) and the Web Worker that searches for it
+const COMPUTER_THINK_TIME = 1500; // MCTS budget per action (ms) when the proof tables cannot decide
+const COMPUTER_ACTION_DELAY = 600; // Pause before each computer action so it can be followed
+const computer = {
+    player: null,
+    worker: null,
+    requestId: 0
+};
+
+// Hint mode: while enabled, the solver's recommendation for the side to move is shown on the board
+const HINT_THINK_TIME = 1000; // MCTS budget (ms) behind each hint
+const HINT_ALTERNATIVES = 5;
+const hints = {
+    enabled: false,
+    requestId: 0,
+    current: null // { proof, action, alternatives } from the worker
+};
+
+// Custom game form: the terrain laid out on its board editor, as ruleset terrain squares
+const customGame = {
+    terrain: []
+};
+
+// Keyboard play: a hotkey per action button, and the square under the arrow-key cursor
+// (null until an arrow key is pressed)
+const ACTION_KEYS = { r: 'rest-btn', m: 'move-btn', s: 'strike-btn', a: 'ability-btn', e: 'end-turn-btn' };
+const CURSOR_STEPS = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+const keyboard = {
+    cursor: null
+};
+
+// Targeting previews: how each kind of legal target square is highlighted (Strike and targeted
+// abilities use valid-target), and the square under the mouse, whose outcome is previewed
+const TARGET_CLASSES = { move: 'valid-move', lungingMove: 'valid-move', shove: 'valid-shove', skipShove: 'valid-shove' };
+const targeting = {
+    hovered: null
 };
 
 // Initialize the game
 function initGame() {
     createBoard();
-    placeInitialFighters();
     updateUI();
     setupEventListeners();
-    logMessage('Game started! Player 1 begins.', 'action');
+    dropCorruptSaves();
+    renderSaveSlots();
+    GameView.logMessage('Game started! Player 1 begins.', 'action');
+    offerResume();
 }
 
-// Create the 3x3 board
+// Create the board's squares for the ruleset being played
 function createBoard() {
-    const boardElement = document.getElementById('board');
-    boardElement.innerHTML = '';
-    
-    for (let row = 0; row < 3; row++) {
-        for (let col = 0; col < 3; col++) {
-            const cell = document.createElement('div');
-            cell.className = 'cell';
-            cell.dataset.row = row;
-            cell.dataset.col = col;
-            cell.dataset.coords = `${row},${col}`;
-            cell.addEventListener('click', () => handleCellClick(row, col));
-            boardElement.appendChild(cell);
-        }
-    }
-}
-
-// Place fighters at starting positions
-function placeInitialFighters() {
-    gameState.board[0][1] = 1; // Player 1 at top middle
-    gameState.board[2][1] = 2; // Player 2 at bottom middle
+    GameView.createBoard(gameState.ruleset, (cell, row, col) => {
+        cell.addEventListener('click', () => handleCellClick(row, col));
+        cell.addEventListener('mouseenter', () => hoverCell({ row, col }));
+        cell.addEventListener('mouseleave', () => hoverCell(null));
+    });
 }
 
 // Update UI elements
 function updateUI() {
     updateBoard();
-    updatePlayerStats();
+    updateRulesetInfo();
+    GameView.updatePlayerPanels(gameState);
     updateActionButtons();
     updateTurnIndicator();
 }
 
 // Update board display
 function updateBoard() {
+    // A game under another ruleset (new, loaded or replayed) may need a different board
+    const { boardWidth, boardHeight } = gameState.ruleset;
+    if (document.getElementById('board').dataset.size !== `${boardWidth}x${boardHeight}`) {
+        createBoard();
+    }
+    
+    // A board of another size may leave the keyboard cursor off the edge
+    if (keyboard.cursor && !Rules.isOnBoard(keyboard.cursor, gameState.ruleset)) {
+        keyboard.cursor = null;
+    }
+    
     const cells = document.querySelectorAll('.cell');
+    const actions = Rules.legalActions(gameState);
+    const targets = targetingActions();
+    const fighterChoices = actions.filter(action => action.type === 'selectFighter');
+    const hintSquare = hints.current && hints.current.action && hintTarget(hints.current.action);
     cells.forEach(cell => {
         const row = parseInt(cell.dataset.row);
         const col = parseInt(cell.dataset.col);
@@ -68,13 +152,22 @@ function updateBoard() {
         cell.className = 'cell';
         cell.textContent = '';
         
-        // Add player classes
-        if (player === 1) {
-            cell.classList.add('player1');
-            cell.textContent = '⚔️';
-        } else if (player === 2) {
-            cell.classList.add('player2');
-            cell.textContent = '⚔️';
+        // Show the square's terrain
+        const terrain = Rules.terrainAt(gameState.ruleset, { row, col });
+        if (terrain) {
+            cell.classList.add(`terrain-${terrain}`);
+        }
+        
+        // Add player classes; a stunned fighter shows dizzy instead of ready to fight
+        if (player !== null) {
+            cell.classList.add(`player${player}`);
+            cell.textContent = gameState.players[player].stunned ? '💫' : '⚔️';
+        }
+        
+        // With teams, mark the fighter acting and any teammate who can take over the turn
+        if (gameState.ruleset.teams && player !== null) {
+            cell.classList.toggle('acting', !gameState.gameOver && player === gameState.currentPlayer);
+            cell.classList.toggle('teammate', !isInputLocked() && fighterChoices.some(action => action.row === row && action.col === col));
         }
         
         // Highlight selected cell
@@ -83,44 +176,195 @@ function updateBoard() {
             gameState.selectedCell.col === col) {
             cell.classList.add('selected');
         }
-    });
-}
-
-// Update player stats display
-function updatePlayerStats() {
-    for (let player of [1, 2]) {
-        const stats = gameState.players[player];
-        document.getElementById(`p${player}-hp`).textContent = stats.hp;
-        document.getElementById(`p${player}-ap`).textContent = stats.ap;
         
-        const statusDiv = document.getElementById(`p${player}-status`);
-        if (stats.stunned) {
-            statusDiv.textContent = 'Stunned (Cannot act next turn)';
-            statusDiv.className = 'status-indicator stunned';
-        } else {
-            statusDiv.textContent = '';
-            statusDiv.className = 'status-indicator';
+        // While an action is being targeted, highlight its legal squares and grey out the rest
+        if (targets) {
+            const target = targetAt(targets, row, col);
+            cell.classList.add(target ? TARGET_CLASSES[target.action.type] || 'valid-target' : 'invalid-target');
         }
         
-        const panel = document.querySelector(`.player${player}-panel`);
-        if (player === gameState.currentPlayer) {
-            panel.classList.add('active');
-        } else {
-            panel.classList.remove('active');
+        // Highlight the hinted target square
+        if (hintSquare && hintSquare.row === row && hintSquare.col === col) {
+            cell.classList.add('hint-target');
+        }
+        
+        // Show the keyboard cursor
+        if (keyboard.cursor && keyboard.cursor.row === row && keyboard.cursor.col === col) {
+            cell.classList.add('cursor');
+        }
+        
+        cell.setAttribute('aria-label', describeCell(row, col, targets));
+    });
+    
+    // Screen readers follow the keyboard cursor as the board's active cell
+    const board = document.getElementById('board');
+    if (keyboard.cursor) {
+        board.setAttribute('aria-activedescendant', `cell-${keyboard.cursor.row}-${keyboard.cursor.col}`);
+    } else {
+        board.removeAttribute('aria-activedescendant');
+    }
+    
+    updateTargetPreview();
+}
+
+// A board square as read out by screen readers, followed while an action is being targeted
+// by what picking the square would do
+function describeCell(row, col, targets) {
+    const label = GameView.describeCell(gameState, { row, col });
+    if (!targets) return label;
+    
+    const target = targetAt(targets, row, col);
+    return `${label}, ${target ? describeOutcome(target.action) : 'not a target'}`;
+}
+
+// The legal actions for the action being targeted, each with the square that picks it
+// (a shove is skipped on the fighter's own square), or null when nothing is being targeted
+function targetingActions() {
+    if (!gameState.currentAction || gameState.gameOver || isInputLocked()) return null;
+    
+    const types = {
+        move: ['move'],
+        strike: ['strike'],
+        strength: ['shove', 'skipShove'],
+        ability: [Rules.fighterStats(gameState.ruleset, gameState.currentPlayer).ability],
+        lunging: ['lungingMove']
+    }[gameState.currentAction];
+    if (!types) return null;
+    
+    const position = gameState.players[gameState.currentPlayer].position;
+    return Rules.legalActions(gameState)
+        .filter(action => types.includes(action.type))
+        .map(action => action.type === 'skipShove' ? { action, ...position } : { action, row: action.row, col: action.col })
+        .filter(target => target.row !== undefined);
+}
+
+// The target picked by a square, if any
+function targetAt(targets, row, col) {
+    return targets.find(target => target.row === row && target.col === col);
+}
+
+// What an action would do, worked out by the rules engine on a copy of the position, e.g.
+// "Strike at (1,1): Player 2 takes 2 damage (7 → 5 HP), AP 3 → 2". If an `events` array
+// is given, the events the action would report are pushed onto it.
+function describeOutcome(action, events = []) {
+    const mover = gameState.currentPlayer;
+    const after = Rules.applyAction(gameState, action, events);
+    const damaged = new Set();
+    const outcome = [];
+    events.forEach(event => {
+        switch (event.type) {
+            case 'damage':
+                // One entry per fighter, however many times it is hit
+                if (!damaged.has(event.player)) {
+                    damaged.add(event.player);
+                    const total = events
+                        .filter(other => other.type === 'damage' && other.player === event.player)
+                        .reduce((sum, other) => sum + other.amount, 0);
+                    const hp = `${gameState.players[event.player].hp} → ${Math.max(0, after.players[event.player].hp)} HP`;
+                    outcome.push(`Player ${event.player} takes ${total} damage (${hp})`);
+                }
+                break;
+            case 'shove':
+                outcome.push(`Player ${event.target} is shoved to (${event.row},${event.col})`);
+                break;
+            case 'lungingCombo':
+                outcome.push(event.hits.length === 0
+                    ? `Lunging Strike ${event.phase + 1} misses`
+                    : `Lunging Strike ${event.phase + 1} hits ${event.hits.length} ${event.hits.length === 1 ? 'fighter' : 'fighters'}`);
+                break;
+            case 'stunned':
+                outcome.push(`Player ${event.player} is stunned`);
+                break;
+            case 'eliminated':
+                outcome.push(`Player ${event.player} is eliminated`);
+                break;
+            case 'gameOver':
+                if (event.winner !== null) {
+                    outcome.push(`${Rules.sideName(gameState.ruleset, event.winner)} wins`);
+                }
+                break;
         }
+    });
+    outcome.push(`AP ${gameState.players[mover].ap} → ${after.players[mover].ap}`);
+    return `${Rules.describeAction(action, gameState.ruleset)}: ${outcome.join(', ')}`;
+}
+
+// Track the square under the mouse for the targeting preview
+function hoverCell(square) {
+    targeting.hovered = square;
+    updateTargetPreview();
+}
+
+// Preview the target square under the mouse, or else under the keyboard cursor
+function updateTargetPreview() {
+    const square = targeting.hovered || keyboard.cursor;
+    const targets = targetingActions();
+    const target = targets && square && targetAt(targets, square.row, square.col);
+    showPreview(target ? target.action : null);
+}
+
+// Hovering (or tabbing to) the ability button previews an ability that needs no target
+// square, such as whether Lunging Strikes would hit
+function previewAbility() {
+    if (gameState.gameOver || isInputLocked()) return;
+    
+    const action = { type: Rules.fighterStats(gameState.ruleset, gameState.currentPlayer).ability };
+    if (Rules.isLegalAction(gameState, action)) {
+        showPreview(action);
     }
 }
 
+// Show an action's outcome below the action buttons, with the damage it would deal marked on
+// the struck fighters' squares; with no action, clear the preview
+function showPreview(action) {
+    document.querySelectorAll('.damage-preview').forEach(marker => marker.remove());
+    const previewElement = document.getElementById('target-preview');
+    if (!action) {
+        previewElement.textContent = '';
+        return;
+    }
+    
+    const events = [];
+    previewElement.textContent = describeOutcome(action, events);
+    events.filter(event => event.type === 'damage').forEach(event => {
+        const marker = document.createElement('span');
+        marker.className = 'damage-preview';
+        marker.textContent = `-${event.amount}`;
+        document.getElementById(`cell-${event.position.row}-${event.position.col}`).appendChild(marker);
+    });
+}
+
+// Show the figures that depend on the ruleset being played: the sides the computer can play,
+// and the signature ability of the fighter to move (the player panels show each fighter's class)
+function updateRulesetInfo() {
+    const { ruleset } = gameState;
+    // The computer plays a side: a single fighter, or with teams both fighters of a team
+    document.querySelectorAll('#opponent-select option').forEach(option => {
+        if (option.value === 'human') return;
+        const side = Number(option.value);
+        option.disabled = side > Rules.sideIds(ruleset).length;
+        option.textContent = `Computer plays ${option.disabled ? `Player ${side}` : Rules.sideName(ruleset, side)}`;
+    });
+    const ability = currentAbility();
+    document.getElementById('ability-name').textContent = ability.name;
+    document.getElementById('ability-key-name').textContent = ability.name;
+    document.getElementById('ability-cost').textContent = `Cost: ${ability.cost(ruleset)} AP`;
+    document.getElementById('ruleset-status').textContent = Rules.isDefaultRuleset(ruleset) ? 'Standard rules' : 'Custom rules';
+}
+
 // Update action buttons
 function updateActionButtons() {
-    const currentPlayerStats = gameState.players[gameState.currentPlayer];
-    const isStunned = currentPlayerStats.stunned;
-    const hasValidStrikeTarget = checkForValidStrikeTarget();
-    
-    document.getElementById('rest-btn').disabled = gameState.currentAction !== null || isStunned || gameState.hasActedThisTurn;
-    document.getElementById('move-btn').disabled = currentPlayerStats.ap < 1 || gameState.currentAction !== null || isStunned || gameState.hasRestedThisTurn;
-    document.getElementById('strike-btn').disabled = currentPlayerStats.ap < 1 || gameState.currentAction !== null || isStunned || gameState.hasRestedThisTurn || !hasValidStrikeTarget;
-    document.getElementById('lunging-btn').disabled = currentPlayerStats.ap < 3 || gameState.currentAction !== null || isStunned || gameState.hasRestedThisTurn;
+    const actions = Rules.legalActions(gameState);
+    const isAvailable = type => gameState.currentAction === null && !isInputLocked() &&
+        actions.some(action => action.type === type);
+    
+    document.getElementById('rest-btn').disabled = !isAvailable('rest');
+    document.getElementById('move-btn').disabled = !isAvailable('move');
+    document.getElementById('strike-btn').disabled = !isAvailable('strike');
+    document.getElementById('ability-btn').disabled = !isAvailable(Rules.fighterStats(gameState.ruleset, gameState.currentPlayer).ability);
+    document.getElementById('end-turn-btn').disabled = isInputLocked();
+    document.getElementById('undo-btn').disabled = replay.active || isOnline() || actionHistory.actions.length === 0;
+    document.getElementById('redo-btn').disabled = replay.active || isOnline() || actionHistory.undone.length === 0;
     
     // Remove active class from all buttons
     document.querySelectorAll('.action-btn[data-action]').forEach(btn => {
@@ -132,11 +376,27 @@ function updateActionButtons() {
         const activeBtn = document.querySelector(`[data-action="${gameState.currentAction}"]`);
         if (activeBtn) activeBtn.classList.add('active');
     }
+    
+    // Mark the button for the hinted action
+    const hintButtons = { rest: 'rest-btn', move: 'move-btn', strike: 'strike-btn', endTurn: 'end-turn-btn' };
+    hintButtons[Rules.fighterStats(gameState.ruleset, gameState.currentPlayer).ability] = 'ability-btn';
+    const hintAction = hints.current && hints.current.action;
+    Object.entries(hintButtons).forEach(([type, id]) => {
+        document.getElementById(id).classList.toggle('hint', Boolean(hintAction && hintAction.type === type));
+    });
 }
 
 // Update turn indicator
 function updateTurnIndicator() {
-    document.getElementById('current-turn').textContent = `Player ${gameState.currentPlayer}'s Turn`;
+    const side = currentSide();
+    let tag = side === computer.player ? ' (Computer)' : '';
+    if (online.player !== null) {
+        tag = side === online.player ? ' (You)' : ' (Opponent)';
+    }
+    const fighter = gameState.ruleset.teams ? ` (Player ${gameState.currentPlayer})` : '';
+    document.getElementById('current-turn').textContent = `${Rules.sideName(gameState.ruleset, side)}'s Turn${fighter}${tag}`;
+    const { maxTurns } = gameState.ruleset;
+    document.getElementById('turn-counter').textContent = `Turn ${Math.min(gameState.turn, maxTurns)} of ${maxTurns}`;
 }
 
 // Setup event listeners
@@ -144,13 +404,52 @@ function setupEventListeners() {
     document.getElementById('rest-btn').addEventListener('click', () => selectAction('rest'));
     document.getElementById('move-btn').addEventListener('click', () => selectAction('move'));
     document.getElementById('strike-btn').addEventListener('click', () => selectAction('strike'));
-    document.getElementById('lunging-btn').addEventListener('click', () => selectAction('lunging'));
+    document.getElementById('ability-btn').addEventListener('click', () => selectAction('ability'));
     document.getElementById('end-turn-btn').addEventListener('click', endTurn);
     document.getElementById('restart-btn').addEventListener('click', restartGame);
+    document.getElementById('analyze-btn').addEventListener('click', analyzeGame);
+    document.getElementById('save-btn').addEventListener('click', saveGameAs);
+    document.getElementById('load-btn').addEventListener('click', () => loadGame(document.getElementById('save-slots').value));
+    document.getElementById('delete-save-btn').addEventListener('click', () => deleteSave(document.getElementById('save-slots').value));
+    document.getElementById('new-game-btn').addEventListener('click', () => document.getElementById('resume-modal').classList.add('hidden'));
+    document.getElementById('online-btn').addEventListener('click', toggleOnline);
+    document.getElementById('custom-btn').addEventListener('click', openCustomGame);
+    document.getElementById('custom-start-btn').addEventListener('click', startCustomGame);
+    document.getElementById('custom-standard-btn').addEventListener('click', () => fillCustomForm(Rules.DEFAULT_RULESET));
+    document.getElementById('custom-teams-btn').addEventListener('click', () => fillCustomForm(Rules.TEAM_RULESET));
+    document.getElementById('custom-export-btn').addEventListener('click', exportRuleset);
+    document.getElementById('custom-import-btn').addEventListener('click', () => document.getElementById('ruleset-file').click());
+    document.getElementById('ruleset-file').addEventListener('change', importRuleset);
+    document.getElementById('custom-cancel-btn').addEventListener('click', () => document.getElementById('custom-modal').classList.add('hidden'));
+    document.querySelectorAll('#custom-rules [data-rule="boardWidth"], #custom-rules [data-rule="boardHeight"], #custom-rules [data-start]')
+        .forEach(input => input.addEventListener('input', renderTerrainEditor));
+    document.querySelector('#custom-rules [data-rule="playerCount"]').addEventListener('input', showCustomPlayers);
+    document.getElementById('broadcast-btn').addEventListener('click', toggleBroadcast);
+    document.getElementById('opponent-select').addEventListener('change', event => setOpponent(event.target.value));
+    document.getElementById('hint-btn').addEventListener('click', toggleHints);
+    document.getElementById('undo-btn').addEventListener('click', undo);
+    document.getElementById('redo-btn').addEventListener('click', redo);
+    document.addEventListener('keydown', handleHistoryKeys);
+    document.addEventListener('keydown', handleGameKeys);
+    document.getElementById('board').addEventListener('focus', focusBoard);
+    ['mouseenter', 'focus'].forEach(type => document.getElementById('ability-btn').addEventListener(type, previewAbility));
+    ['mouseleave', 'blur'].forEach(type => document.getElementById('ability-btn').addEventListener(type, updateTargetPreview));
+    document.getElementById('export-btn').addEventListener('click', exportGame);
+    document.getElementById('import-btn').addEventListener('click', () => document.getElementById('import-file').click());
+    document.getElementById('import-file').addEventListener('change', importGame);
+    document.getElementById('replay-btn').addEventListener('click', () => startReplay(actionHistory.actions, currentGameSetup()));
+    document.getElementById('replay-start-btn').addEventListener('click', () => showReplayPosition(0));
+    document.getElementById('replay-back-btn').addEventListener('click', () => showReplayPosition(replay.index - 1));
+    document.getElementById('replay-forward-btn').addEventListener('click', () => showReplayPosition(replay.index + 1));
+    document.getElementById('replay-end-btn').addEventListener('click', () => showReplayPosition(replay.actions.length));
+    document.getElementById('replay-jump-btn').addEventListener('click', jumpToReplayTurn);
+    document.getElementById('replay-exit-btn').addEventListener('click', exitReplay);
 }
 
 // Select an action
 function selectAction(action) {
+    if (isInputLocked()) return;
+    
     if (gameState.currentAction === action) {
         // Deselect
         gameState.currentAction = null;
@@ -162,8 +461,10 @@ function selectAction(action) {
         
         if (action === 'rest') {
             executeRest();
-        } else if (action === 'lunging') {
-            executeLungingStrikes();
+        } else if (action === 'ability' && !abilityIsTargeted()) {
+            submitAction({ type: Rules.fighterStats(gameState.ruleset, gameState.currentPlayer).ability });
+        } else if (action === 'ability') {
+            showMessage(`Select a target for ${currentAbility().name}`, 'info');
         } else {
             showMessage(`Select a target for ${action}`, 'info');
         }
@@ -174,13 +475,21 @@ function selectAction(action) {
 
 // Handle cell clicks
 function handleCellClick(row, col) {
+    if (isInputLocked()) return;
+    
     const clickedPlayer = gameState.board[row][col];
     
-    // If no action selected, select your own fighter
+    // If no action selected, select your own fighter, or with teams hand the turn to a teammate
     if (!gameState.currentAction) {
         if (clickedPlayer === gameState.currentPlayer) {
             gameState.selectedCell = { row, col };
             updateUI();
+        } else if (clickedPlayer !== null && Rules.sideOf(gameState.ruleset, clickedPlayer) === currentSide()) {
+            if (Rules.isLegalAction(gameState, { type: 'selectFighter', row, col })) {
+                submitAction({ type: 'selectFighter', row, col });
+            } else {
+                showMessage('Your team has already chosen who acts this turn', 'error');
+            }
         }
         return;
     }
@@ -196,39 +505,106 @@ function handleCellClick(row, col) {
         case 'strength':
             executeShove(row, col);
             break;
+        case 'ability':
+            executeAbility(row, col);
+            break;
+        case 'lunging':
+            handleLungingMove(row, col);
+            break;
     }
 }
 
-// Execute Rest action
-function executeRest() {
-    const player = gameState.players[gameState.currentPlayer];
-    
-    // Gain 1 HP (capped at max)
-    const hpGained = Math.min(1, player.maxHp - player.hp);
-    player.hp += hpGained;
-    
-    // Gain 1 AP (capped at 6)
-    player.ap = Math.min(6, player.ap + 1);
+// Play the human's action: online it goes to the server, which relays it back to both
+// players once it has checked it; otherwise it is applied here straight away
+function submitAction(action) {
+    if (isOnline()) {
+        sendOnline({ type: 'action', action });
+    } else {
+        performAction(action);
+    }
+}
+
+// Apply an action through the rules engine, then log and animate what happened.
+// Redone actions keep the rest of the redo stack; any other action clears it.
+function performAction(action, isRedo = false) {
+    const events = [];
+    const before = Rules.cloneState(gameState);
+    Object.assign(gameState, Rules.applyAction(gameState, action, events));
+    
+    actionHistory.states.push(before);
+    actionHistory.actions.push(action);
+    if (!isRedo) {
+        actionHistory.undone = [];
+    }
     
-    // Mark that player has rested this turn
-    gameState.hasRestedThisTurn = true;
-    gameState.hasActedThisTurn = true;
+    gameState.selectedCell = null;
+    refreshHint();
+    updateActionPrompt();
+    updateUI();
     
-    logMessage(`Player ${gameState.currentPlayer} rests: +${hpGained} HP, +1 AP`, 'heal');
+    // Tag this action's log entries so analysis can annotate them
+    const logContent = document.getElementById('log-content');
+    const firstEntry = logContent.children.length;
+    events.forEach(reportEvent);
+    [...logContent.children].slice(firstEntry).forEach(entry => {
+        entry.dataset.action = actionHistory.actions.length - 1;
+    });
     
-    // Rest ends the turn
-    gameState.currentAction = null;
-    endTurn();
+    saveGame();
+    publishGame();
+    requestComputerAction();
+}
+
+// Put the UI into whichever follow-up step the rules are waiting for
+function updateActionPrompt() {
+    if (gameState.gameOver) {
+        gameState.currentAction = null;
+    } else if (gameState.pendingShove) {
+        gameState.currentAction = 'strength';
+        promptShove();
+    } else if (gameState.lungingStrikesState && gameState.lungingStrikesState.waitingForMove) {
+        gameState.currentAction = 'lunging';
+        promptLungingMove();
+    } else {
+        gameState.currentAction = null;
+    }
+}
+
+// Log and animate one event reported by the rules engine
+function reportEvent(event) {
+    EventLog.describeEvent(event).forEach(entry => GameView.logMessage(entry.text, entry.type));
+    
+    switch (event.type) {
+        case 'damage':
+            animateCell(event.position, 'damage-animation', 300);
+            GameView.announce(`Player ${event.player} has ${gameState.players[event.player].hp} HP left`);
+            break;
+        case 'lungingCombo':
+            event.hits.forEach(pos => animateCell(pos, 'lunging-animation', 400));
+            break;
+        case 'gameOver':
+            endGame(event.winner);
+            break;
+    }
+}
+
+// Execute Rest action (Rest ends the turn)
+function executeRest() {
+    submitAction({ type: 'rest' });
 }
 
 // Execute Move action
 function executeMove(targetRow, targetCol) {
     const player = gameState.players[gameState.currentPlayer];
-    const currentPos = player.position;
     
-    // Check if target is valid (adjacent, 1-2 squares away, and empty)
-    if (!isValidMove(currentPos, { row: targetRow, col: targetCol })) {
-        showMessage('Invalid move! Must be 1-2 adjacent squares.', 'error');
+    if (Rules.terrainAt(gameState.ruleset, { row: targetRow, col: targetCol }) === 'blocked') {
+        showMessage('That square is blocked!', 'error');
+        return;
+    }
+    
+    // Check if target is valid (in a straight line, within the move range, and not across a blocked square)
+    if (!Rules.isValidMove(player.position, { row: targetRow, col: targetCol }, gameState.ruleset)) {
+        showMessage(`Invalid move! Must be ${describeMoveRange()} squares in a straight line${describeBlockedPath()}.`, 'error');
         return;
     }
     
@@ -238,119 +614,44 @@ function executeMove(targetRow, targetCol) {
         return;
     }
     
-    // Execute move
-    gameState.board[currentPos.row][currentPos.col] = null;
-    gameState.board[targetRow][targetCol] = gameState.currentPlayer;
-    player.position = { row: targetRow, col: targetCol };
-    player.ap -= 1;
-    
-    // Mark that an action has been taken
-    gameState.hasActedThisTurn = true;
-    
-    logMessage(`Player ${gameState.currentPlayer} moves to (${targetRow}, ${targetCol})`, 'action');
-    
-    gameState.currentAction = null;
-    gameState.selectedCell = null;
-    updateUI();
-}
-
-// Check if move is valid (1-2 adjacent squares)
-function isValidMove(from, to) {
-    const rowDiff = Math.abs(from.row - to.row);
-    const colDiff = Math.abs(from.col - to.col);
-    const distance = Math.max(rowDiff, colDiff);
-    
-    // Must be 1 or 2 squares away
-    if (distance < 1 || distance > 2) {
-        return false;
-    }
-    
-    // Must move in a straight line (horizontal, vertical, or diagonal)
-    // This means either rowDiff is 0, colDiff is 0, or rowDiff === colDiff
-    if (rowDiff !== 0 && colDiff !== 0 && rowDiff !== colDiff) {
-        return false; // Not a straight line (e.g., knight move)
-    }
-    
-    return true;
+    submitAction({ type: 'move', row: targetRow, col: targetCol });
 }
 
 // Execute Strike action
 function executeStrike(targetRow, targetCol) {
     const player = gameState.players[gameState.currentPlayer];
-    const currentPos = player.position;
     
     // Check if target is adjacent
-    if (!isAdjacent(currentPos, { row: targetRow, col: targetCol })) {
+    if (!Rules.isAdjacent(player.position, { row: targetRow, col: targetCol })) {
         showMessage('Target must be adjacent!', 'error');
         return;
     }
     
     // Check if target has enemy
-    const targetPlayer = gameState.board[targetRow][targetCol];
-    const enemyId = gameState.currentPlayer === 1 ? 2 : 1;
-    
-    if (targetPlayer !== enemyId) {
+    const target = gameState.board[targetRow][targetCol];
+    if (target === null || Rules.sideOf(gameState.ruleset, target) === currentSide()) {
         showMessage('No enemy at target location!', 'error');
         return;
     }
     
-    // Deal damage
-    dealDamage(enemyId, 2, { row: targetRow, col: targetCol });
-    player.ap -= 1;
-    
-    // Mark that an action has been taken
-    gameState.hasActedThisTurn = true;
-    
-    logMessage(`Player ${gameState.currentPlayer} strikes for 2 damage!`, 'damage');
-    
-    // Check if player has AP for Strength ability
-    if (player.ap >= 1) {
-        gameState.pendingShove = { target: enemyId, fromRow: targetRow, fromCol: targetCol };
-        gameState.currentAction = 'strength';
-        showMessage('Shove target? (1 AP) Click adjacent square or click yourself to skip', 'info');
-        updateUI();
-        return;
-    }
-    
-    gameState.currentAction = null;
-    gameState.selectedCell = null;
-    updateUI();
+    submitAction({ type: 'strike', row: targetRow, col: targetCol });
 }
 
 // Execute Shove (Strength ability)
 function executeShove(targetRow, targetCol) {
-    if (!gameState.pendingShove) {
-        // If clicking strength button to skip
-        gameState.pendingShove = null;
-        gameState.currentAction = null;
-        showMessage('Shove skipped', 'info');
-        updateUI();
-        return;
-    }
-    
-    const { target, fromRow, fromCol } = gameState.pendingShove;
+    const { fromRow, fromCol } = gameState.pendingShove;
     const currentPlayer = gameState.players[gameState.currentPlayer];
-    const isLungingStrikes = gameState.lungingStrikesState !== null;
     
     // Check if clicking on yourself to skip
     if (targetRow === currentPlayer.position.row && targetCol === currentPlayer.position.col) {
-        gameState.pendingShove = null;
-        gameState.currentAction = null;
         showMessage('Shove skipped', 'info');
-        
-        // If during lunging strikes, advance to next shove or move
-        if (isLungingStrikes) {
-            gameState.lungingStrikesState.currentShoveIndex++;
-            promptLungingShove();
-        } else {
-            updateUI();
-        }
+        submitAction({ type: 'skipShove' });
         return;
     }
     
     // Check if target square is adjacent to enemy's current position
-    if (!isAdjacent({ row: fromRow, col: fromCol }, { row: targetRow, col: targetCol })) {
-        showMessage('Shove target must be adjacent to enemy!', 'error');
+    if (!Rules.isAdjacent({ row: fromRow, col: fromCol }, { row: targetRow, col: targetCol })) {
+        showMessage('Shove target must be adjacent to the struck enemy!', 'error');
         return;
     }
     
@@ -360,150 +661,59 @@ function executeShove(targetRow, targetCol) {
         return;
     }
     
-    // Execute shove
-    gameState.board[fromRow][fromCol] = null;
-    gameState.board[targetRow][targetCol] = target;
-    gameState.players[target].position = { row: targetRow, col: targetCol };
-    gameState.players[gameState.currentPlayer].ap -= 1;
-    
-    logMessage(`Player ${gameState.currentPlayer} shoves enemy to (${targetRow}, ${targetCol})`, 'action');
-    
-    gameState.pendingShove = null;
-    gameState.currentAction = null;
-    gameState.selectedCell = null;
-    
-    // If during lunging strikes, advance to next shove or move
-    if (isLungingStrikes) {
-        gameState.lungingStrikesState.currentShoveIndex++;
-        promptLungingShove();
-    } else {
-        updateUI();
+    if (Rules.terrainAt(gameState.ruleset, { row: targetRow, col: targetCol }) === 'blocked') {
+        showMessage('Cannot shove to a blocked square!', 'error');
+        return;
     }
+    
+    submitAction({ type: 'shove', row: targetRow, col: targetCol });
 }
 
-// Execute Lunging Strikes
-function executeLungingStrikes() {
-    const player = gameState.players[gameState.currentPlayer];
-    
-    // Initialize lunging strikes state
-    gameState.lungingStrikesState = {
-        phase: 0, // 0, 1, 2 for three combos
-        waitingForMove: false,
-        pendingShoves: [], // Track shoves for this combo
-        currentShoveIndex: 0
-    };
-    
-    player.ap -= 3;
-    
-    // Mark that an action has been taken
-    gameState.hasActedThisTurn = true;
-    
-    performLungingCombo();
+// The signature ability of the fighter to move
+function currentAbility() {
+    return Rules.ABILITIES[Rules.fighterStats(gameState.ruleset, gameState.currentPlayer).ability];
 }
 
-// Perform one combo of Lunging Strikes
-function performLungingCombo() {
-    const state = gameState.lungingStrikesState;
-    const player = gameState.players[gameState.currentPlayer];
-    const currentPos = player.position;
-    const enemyId = gameState.currentPlayer === 1 ? 2 : 1;
-    
-    logMessage(`Player ${gameState.currentPlayer} performs Lunging Strike combo ${state.phase + 1}/3`, 'action');
-    
-    // Deal 2 damage to all adjacent squares
-    const adjacentPositions = getAdjacentPositions(currentPos);
-    let hitEnemy = false;
-    state.pendingShoves = []; // Reset pending shoves for this combo
-    state.currentShoveIndex = 0;
-    
-    for (let pos of adjacentPositions) {
-        const targetPlayer = gameState.board[pos.row][pos.col];
-        if (targetPlayer === enemyId) {
-            dealDamage(enemyId, 2, pos);
-            hitEnemy = true;
-            
-            // Track this hit for potential shove
-            if (player.ap >= 1) {
-                state.pendingShoves.push({ target: enemyId, fromRow: pos.row, fromCol: pos.col });
-            }
-            
-            // Add animation
-            const cell = document.querySelector(`[data-row="${pos.row}"][data-col="${pos.col}"]`);
-            cell.classList.add('lunging-animation');
-            setTimeout(() => cell.classList.remove('lunging-animation'), 400);
-        }
-    }
-    
-    if (!hitEnemy) {
-        logMessage(`  No enemies adjacent - no damage dealt`, 'action');
-    }
-    
-    if (gameState.gameOver) {
-        return; // Game ended due to damage
-    }
-    
-    // Check if we have pending shoves
-    if (state.pendingShoves.length > 0) {
-        promptLungingShove();
-    } else {
-        // No shoves available, proceed to move
-        promptLungingMove();
-    }
+// Does the current fighter's ability need a target square?
+function abilityIsTargeted() {
+    const type = Rules.fighterStats(gameState.ruleset, gameState.currentPlayer).ability;
+    return Rules.legalActions(gameState).some(action => action.type === type && action.row !== undefined);
 }
 
-// Prompt for shove during lunging strikes
-function promptLungingShove() {
-    const state = gameState.lungingStrikesState;
-    const player = gameState.players[gameState.currentPlayer];
-    
-    if (state.currentShoveIndex >= state.pendingShoves.length) {
-        // All shoves resolved, proceed to move
-        promptLungingMove();
+// Use a targeted signature ability on a square
+function executeAbility(targetRow, targetCol) {
+    const action = { type: Rules.fighterStats(gameState.ruleset, gameState.currentPlayer).ability, row: targetRow, col: targetCol };
+    if (!Rules.isLegalAction(gameState, action)) {
+        showMessage(`No target for ${currentAbility().name} there!`, 'error');
         return;
     }
     
-    const shove = state.pendingShoves[state.currentShoveIndex];
-    gameState.pendingShove = shove;
-    gameState.currentAction = 'strength';
+    submitAction(action);
+}
+
+// Prompt for a shove after a Strike or a Lunging Strikes hit
+function promptShove() {
+    const state = gameState.lungingStrikesState;
+    const progress = state ? ` (${state.currentShoveIndex + 1}/${state.pendingShoves.length})` : '';
     
-    showMessage(`Shove target? (1 AP) Click adjacent square or click yourself to skip (${state.currentShoveIndex + 1}/${state.pendingShoves.length})`, 'info');
-    updateUI();
+    showMessage(`Shove target? (${gameState.ruleset.shoveCost} AP) Click adjacent square or click yourself to skip${progress}`, 'info');
 }
 
-// Proceed to movement prompt for lunging strikes
+// Prompt for the reposition after a Lunging Strikes combo
 function promptLungingMove() {
     const state = gameState.lungingStrikesState;
-    const player = gameState.players[gameState.currentPlayer];
-    
-    // Wait for move input
-    state.waitingForMove = true;
-    showMessage(`Lunging Strike ${state.phase + 1}/3 - Click to move (or same square to stay)`, 'info');
-    
-    // Highlight valid moves
-    highlightValidMoves(player.position);
+    showMessage(`Lunging Strike ${state.phase + 1}/${gameState.ruleset.lungingCombos} - Click to move (or same square to stay)`, 'info');
 }
 
-// Highlight valid moves for lunging strikes
-function highlightValidMoves(from) {
-    const cells = document.querySelectorAll('.cell');
-    cells.forEach(cell => {
-        const row = parseInt(cell.dataset.row);
-        const col = parseInt(cell.dataset.col);
-        
-        if (isValidMove(from, { row, col }) && gameState.board[row][col] === null) {
-            cell.classList.add('valid-move');
-        } else if (row === from.row && col === from.col) {
-            cell.classList.add('valid-move'); // Can stay in place
-        }
-    });
-    
-    // Override click handler temporarily
-    cells.forEach(cell => {
-        const row = parseInt(cell.dataset.row);
-        const col = parseInt(cell.dataset.col);
-        
-        cell.onclick = () => handleLungingMove(row, col);
-    });
+// How far a move may go, e.g. "1-2"
+function describeMoveRange() {
+    const { minMove, maxMove } = gameState.ruleset;
+    return minMove === maxMove ? `${minMove}` : `${minMove}-${maxMove}`;
+}
+
+// The extra condition on a move's path when the board has blocked squares
+function describeBlockedPath() {
+    return gameState.ruleset.terrain.some(square => square.type === 'blocked') ? ' and not across a blocked square' : '';
 }
 
 // Handle move during lunging strikes
@@ -511,199 +721,1173 @@ function handleLungingMove(targetRow, targetCol) {
     const state = gameState.lungingStrikesState;
     if (!state || !state.waitingForMove) return;
     
-    const player = gameState.players[gameState.currentPlayer];
-    const currentPos = player.position;
+    // Must be a valid move or staying in place
+    const action = { type: 'lungingMove', row: targetRow, col: targetCol };
+    if (!Rules.isLegalAction(gameState, action)) {
+        showMessage(`Invalid move! Must be ${describeMoveRange()} squares in a straight line${describeBlockedPath()} or stay in place.`, 'error');
+        return;
+    }
     
-    // Check if it's a valid move or staying in place
-    const isSameSquare = targetRow === currentPos.row && targetCol === currentPos.col;
-    const isValid = isSameSquare || (isValidMove(currentPos, { row: targetRow, col: targetCol }) && 
-                                      gameState.board[targetRow][targetCol] === null);
+    submitAction(action);
+}
+
+// Briefly play an animation class on a board cell
+function animateCell(position, className, duration) {
+    const cell = document.querySelector(`[data-row="${position.row}"][data-col="${position.col}"]`);
+    cell.classList.add(className);
+    setTimeout(() => cell.classList.remove(className), duration);
+}
+
+// End current turn
+function endTurn() {
+    if (gameState.gameOver || isInputLocked()) return;
     
-    if (!isValid) {
-        showMessage('Invalid move! Must be 1-2 adjacent squares or stay in place.', 'error');
+    if (gameState.lungingStrikesState && gameState.lungingStrikesState.waitingForMove) {
+        showMessage('Complete Lunging Strikes move first!', 'error');
         return;
     }
     
-    // Execute move (or stay)
-    if (!isSameSquare) {
-        gameState.board[currentPos.row][currentPos.col] = null;
-        gameState.board[targetRow][targetCol] = gameState.currentPlayer;
-        player.position = { row: targetRow, col: targetCol };
-        logMessage(`  Moved to (${targetRow}, ${targetCol})`, 'action');
-    } else {
-        logMessage(`  Stayed at (${targetRow}, ${targetCol})`, 'action');
+    if (gameState.pendingShove) {
+        showMessage('Complete or skip Strength shove first!', 'error');
+        return;
     }
     
-    // Clear move highlights and restore normal click handlers
-    document.querySelectorAll('.cell').forEach(cell => {
-        cell.classList.remove('valid-move');
-        const row = parseInt(cell.dataset.row);
-        const col = parseInt(cell.dataset.col);
-        cell.onclick = () => handleCellClick(row, col);
-    });
+    submitAction({ type: 'endTurn' });
+}
+
+// Undo the last action. Against the computer, keep undoing until it is the human's decision again.
+function undo() {
+    if (replay.active || isOnline() || actionHistory.actions.length === 0) return;
     
-    state.waitingForMove = false;
-    state.phase++;
+    computer.requestId++; // Drop any computer action in progress
+    do {
+        const action = actionHistory.actions.pop();
+        Object.assign(gameState, actionHistory.states.pop(), { currentAction: null, selectedCell: null });
+        actionHistory.undone.push(action);
+        GameView.logMessage(`Undo: Player ${gameState.currentPlayer} - ${Rules.describeAction(action, gameState.ruleset)}`, 'action');
+    } while (actionHistory.actions.length > 0 && isComputerTurn());
     
-    // Check if more combos remain
-    if (state.phase < 3) {
-        setTimeout(() => performLungingCombo(), 500);
-    } else {
-        // Lunging Strikes complete - stun player
-        player.stunned = true;
-        player.stunnedThisTurn = true;
-        logMessage(`Player ${gameState.currentPlayer} is stunned until end of next turn!`, 'action');
-        gameState.lungingStrikesState = null;
-        gameState.currentAction = null;
-        updateUI();
-    }
+    untagLogEntries(actionHistory.actions.length);
+    analysis.requestId++;
     
+    document.getElementById('game-over-modal').classList.add('hidden');
+    showMessage('Action undone', 'info');
+    saveGame();
+    publishGame();
+    refreshHint();
+    updateActionPrompt();
     updateUI();
+    requestComputerAction();
 }
 
-// Deal damage to a player
-function dealDamage(playerId, amount, position) {
-    const player = gameState.players[playerId];
-    player.hp = Math.max(0, player.hp - amount);
-    
-    // Add damage animation
-    if (position) {
-        const cell = document.querySelector(`[data-row="${position.row}"][data-col="${position.col}"]`);
-        cell.classList.add('damage-animation');
-        setTimeout(() => cell.classList.remove('damage-animation'), 300);
-    }
-    
-    updateUI();
+// Log entries of actions from this index on no longer belong to the game being played
+function untagLogEntries(fromIndex) {
+    document.querySelectorAll('#log-content [data-action]').forEach(entry => {
+        if (Number(entry.dataset.action) >= fromIndex) {
+            delete entry.dataset.action;
+        }
+    });
+}
+
+// Replay the last undone action, along with any computer replies that followed it
+function redo() {
+    if (replay.active || isOnline() || actionHistory.undone.length === 0) return;
     
-    // Check for game over
-    if (player.hp <= 0) {
-        endGame(gameState.currentPlayer);
+    do {
+        performAction(actionHistory.undone.pop(), true);
+    } while (actionHistory.undone.length > 0 && isComputerTurn());
+}
+
+// Ctrl+Z to undo, Ctrl+Y or Ctrl+Shift+Z to redo (Cmd on macOS)
+function handleHistoryKeys(event) {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        redo();
     }
 }
 
-// Check if two positions are adjacent
-function isAdjacent(pos1, pos2) {
-    const rowDiff = Math.abs(pos1.row - pos2.row);
-    const colDiff = Math.abs(pos1.col - pos2.col);
-    return rowDiff <= 1 && colDiff <= 1 && (rowDiff + colDiff) > 0;
+// Keyboard play: a letter presses its action button, the arrow keys move the cursor over the
+// board, Enter (or Space) clicks the square under it, and Escape cancels the action being
+// targeted or skips a shove. Keys typed into form fields, or while a dialog is open, are left alone.
+function handleGameKeys(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    
+    const target = event.target;
+    if (target.matches && target.matches('input, select, textarea')) return;
+    if (document.querySelector('.modal:not(.hidden)')) return;
+    
+    const key = event.key;
+    if (CURSOR_STEPS[key]) {
+        event.preventDefault();
+        moveCursor(...CURSOR_STEPS[key]);
+    } else if (key === 'Enter' || key === ' ') {
+        // A focused button answers Enter and Space itself
+        if (target.matches && target.matches('button')) return;
+        event.preventDefault();
+        confirmCursor();
+    } else if (key === 'Escape') {
+        event.preventDefault();
+        cancelAction();
+    } else if (ACTION_KEYS[key.toLowerCase()]) {
+        event.preventDefault();
+        // Clicking keeps every check of the mouse path; a disabled button ignores it
+        document.getElementById(ACTION_KEYS[key.toLowerCase()]).click();
+    }
 }
 
-// Check if there's a valid target to strike
-function checkForValidStrikeTarget() {
-    const currentPlayer = gameState.players[gameState.currentPlayer];
-    const currentPos = currentPlayer.position;
-    const enemyId = gameState.currentPlayer === 1 ? 2 : 1;
-    
-    // Get all adjacent positions
-    const adjacentPositions = getAdjacentPositions(currentPos);
-    
-    // Check if any adjacent position has the enemy
-    for (let pos of adjacentPositions) {
-        if (gameState.board[pos.row][pos.col] === enemyId) {
-            return true;
+// Step the keyboard cursor one square, starting it on the fighter to move
+function moveCursor(rowStep, colStep) {
+    if (!keyboard.cursor) {
+        keyboard.cursor = cursorStart();
+    } else {
+        const next = { row: keyboard.cursor.row + rowStep, col: keyboard.cursor.col + colStep };
+        if (Rules.isOnBoard(next, gameState.ruleset)) {
+            keyboard.cursor = next;
         }
     }
-    
-    return false;
+    updateBoard();
 }
 
-// Get all adjacent positions
-function getAdjacentPositions(pos) {
-    const adjacent = [];
-    for (let rowOffset = -1; rowOffset <= 1; rowOffset++) {
-        for (let colOffset = -1; colOffset <= 1; colOffset++) {
-            if (rowOffset === 0 && colOffset === 0) continue;
-            
-            const newRow = pos.row + rowOffset;
-            const newCol = pos.col + colOffset;
-            
-            if (newRow >= 0 && newRow < 3 && newCol >= 0 && newCol < 3) {
-                adjacent.push({ row: newRow, col: newCol });
-            }
-        }
+// Where the keyboard cursor appears: the fighter to move (the top-left square if it has none)
+function cursorStart() {
+    const position = gameState.players[gameState.currentPlayer].position;
+    return position ? { row: position.row, col: position.col } : { row: 0, col: 0 };
+}
+
+// Tabbing to the board puts the cursor on it, so screen readers have a square to read out
+function focusBoard() {
+    if (!keyboard.cursor) {
+        keyboard.cursor = cursorStart();
+        updateBoard();
     }
-    return adjacent;
 }
 
-// End current turn
-function endTurn() {
-    if (gameState.lungingStrikesState && gameState.lungingStrikesState.waitingForMove) {
-        showMessage('Complete Lunging Strikes move first!', 'error');
+// Click the square under the keyboard cursor, as a mouse click would
+function confirmCursor() {
+    if (!keyboard.cursor) {
+        keyboard.cursor = cursorStart();
+        updateBoard();
         return;
     }
+    handleCellClick(keyboard.cursor.row, keyboard.cursor.col);
+}
+
+// Escape: skip a pending shove, or drop the action being targeted
+function cancelAction() {
+    if (isInputLocked() || gameState.gameOver) return;
     
     if (gameState.pendingShove) {
-        showMessage('Complete or skip Strength shove first!', 'error');
+        showMessage('Shove skipped', 'info');
+        submitAction({ type: 'skipShove' });
+    } else if (gameState.lungingStrikesState && gameState.lungingStrikesState.waitingForMove) {
+        showMessage('Complete Lunging Strikes move first!', 'error');
+    } else if (gameState.currentAction) {
+        selectAction(gameState.currentAction);
+    } else if (gameState.selectedCell) {
+        gameState.selectedCell = null;
+        updateUI();
+    }
+}
+
+// Starting position of the game in play
+function currentGameSetup() {
+    return actionHistory.states.length > 0 ? actionHistory.states[0] : gameState;
+}
+
+// Download the game so far as a record file
+function exportGame() {
+    const record = GameRecord.createRecord(currentGameSetup(), actionHistory.actions);
+    const blob = new Blob([JSON.stringify(record, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `avengement-lite-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    showMessage(`Exported ${record.actions.length} actions`, 'success');
+}
+
+// Load a record file chosen by the user into the replay viewer
+function importGame(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow the same file to be chosen again
+    if (!file) return;
+    
+    file.text().then(text => {
+        const { actions, states } = GameRecord.parseRecord(text);
+        startReplay(actions, states[0]);
+        GameView.logMessage(`Imported game record ${file.name} (${actions.length} actions)`, 'action');
+    }).catch(err => showMessage(`Could not import game: ${err.message}`, 'error'));
+}
+
+// Open the replay viewer on a game, starting from its first position
+function startReplay(actions, setup) {
+    if (isOnline()) {
+        showMessage('Leave the online room to view replays', 'error');
+        return;
+    }
+    
+    const { states } = GameRecord.replayRecord(GameRecord.createRecord(setup, actions));
+    Object.assign(replay, { active: true, actions: actions.slice(), states, index: 0 });
+    computer.requestId++; // Drop any computer action in progress
+    document.getElementById('game-over-modal').classList.add('hidden');
+    showReplayPosition(0);
+}
+
+// Show one position of the replay on the board
+function showReplayPosition(index) {
+    replay.index = Math.max(0, Math.min(index, replay.actions.length));
+    Object.assign(gameState, Rules.cloneState(replay.states[replay.index]), { currentAction: null, selectedCell: null });
+    refreshHint();
+    updateUI();
+    renderReplayControls();
+}
+
+// Jump to the start of the turn typed into the replay controls (or the last position if it never came)
+function jumpToReplayTurn() {
+    const turn = parseInt(document.getElementById('replay-turn').value);
+    const index = replay.states.findIndex(state => state.turn >= turn);
+    showReplayPosition(index === -1 ? replay.actions.length : index);
+}
+
+// Update the replay controls and the description of the position shown
+function renderReplayControls() {
+    document.getElementById('replay-controls').classList.toggle('hidden', !replay.active);
+    document.getElementById('replay-btn').disabled = replay.active;
+    if (!replay.active) return;
+    
+    const { index, actions, states } = replay;
+    document.getElementById('replay-start-btn').disabled = index === 0;
+    document.getElementById('replay-back-btn').disabled = index === 0;
+    document.getElementById('replay-forward-btn').disabled = index === actions.length;
+    document.getElementById('replay-end-btn').disabled = index === actions.length;
+    
+    const { ruleset } = states[index];
+    const last = index > 0 ? ` - Player ${states[index - 1].currentPlayer}: ${Rules.describeAction(actions[index - 1], ruleset)}` : '';
+    document.getElementById('replay-position').textContent = `Replay: action ${index} of ${actions.length} (turn ${Math.min(states[index].turn, ruleset.maxTurns)})${last}`;
+}
+
+// Leave the replay viewer and play on from the position shown; later actions stay available to Redo
+function exitReplay() {
+    const { index, actions, states } = replay;
+    replay.active = false;
+    
+    Object.assign(actionHistory, {
+        actions: actions.slice(0, index),
+        states: states.slice(0, index),
+        undone: actions.slice(index).reverse()
+    });
+    Object.assign(gameState, Rules.cloneState(states[index]), { currentAction: null, selectedCell: null });
+    
+    untagLogEntries(0);
+    analysis.requestId++;
+    saveGame();
+    publishGame();
+    GameView.logMessage(`Resumed play after action ${index} of ${actions.length}`, 'action');
+    showMessage('');
+    refreshHint();
+    updateActionPrompt();
+    updateUI();
+    renderReplayControls();
+    requestComputerAction();
+}
+
+// All saved games by slot name (empty if storage is unavailable or unreadable)
+function readSaves() {
+    try {
+        const all = JSON.parse(localStorage.getItem(SAVE_STORAGE_KEY));
+        return all && typeof all === 'object' && !Array.isArray(all) ? all : {};
+    } catch (err) {
+        return {};
+    }
+}
+
+// Remove the saved games that no longer load (corrupted or edited by hand), telling the user
+function dropCorruptSaves() {
+    const all = readSaves();
+    const dropped = Object.keys(all).filter(slot => {
+        try {
+            GameRecord.replaySave(all[slot]);
+            return false;
+        } catch (err) {
+            delete all[slot];
+            return true;
+        }
+    });
+    if (dropped.length > 0 && writeSaves(all)) {
+        showMessage(`Removed saved games that could not be read: ${dropped.map(slot => `"${slot}"`).join(', ')}`, 'error');
+    }
+}
+
+// Store all saved games; false (with a message) if storage refused them
+function writeSaves(all) {
+    try {
+        localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(all));
+        return true;
+    } catch (err) {
+        showMessage(`Could not save the game: ${err.message}`, 'error');
+        return false;
+    }
+}
+
+// Save the game in play to a slot (the active slot by default)
+function saveGame(slot = saves.activeSlot) {
+    const all = readSaves();
+    all[slot] = {
+        record: GameRecord.createRecord(currentGameSetup(), actionHistory.actions),
+        opponent: computer.player,
+        savedAt: new Date().toISOString()
+    };
+    if (writeSaves(all)) {
+        renderSaveSlots();
+    }
+}
+
+// Save under the name typed by the user and keep autosaving there
+function saveGameAs() {
+    const name = document.getElementById('save-name').value.trim();
+    if (!name) {
+        showMessage('Enter a name for the save', 'error');
+        return;
+    }
+    
+    saves.activeSlot = name;
+    saveGame();
+    document.getElementById('save-name').value = '';
+    showMessage(`Game saved as "${name}"`, 'success');
+}
+
+// Replace the game in play with a saved one, including its opponent setting
+function loadGame(slot) {
+    const save = readSaves()[slot];
+    if (!save) return;
+    if (isOnline()) {
+        showMessage('Leave the online room to load a saved game', 'error');
+        return;
+    }
+    
+    let replayed;
+    try {
+        replayed = GameRecord.replaySave(save);
+    } catch (err) {
+        const all = readSaves();
+        delete all[slot];
+        if (slot === saves.activeSlot) {
+            saves.activeSlot = AUTOSAVE_SLOT;
+        }
+        writeSaves(all);
+        renderSaveSlots();
+        document.getElementById('resume-modal').classList.add('hidden');
+        showMessage(`Could not load "${slot}", so it was removed: ${err.message}`, 'error');
+        return;
+    }
+    
+    const { actions, states } = replayed;
+    setGame(actions, states);
+    saves.activeSlot = slot;
+    document.getElementById('resume-modal').classList.add('hidden');
+    GameView.logMessage(`Loaded "${slot}" at turn ${Math.min(gameState.turn, gameState.ruleset.maxTurns)} (${actions.length} actions played)`, 'action');
+    
+    updateActionPrompt();
+    renderSaveSlots();
+    
+    const opponent = save.opponent ? String(save.opponent) : 'human';
+    document.getElementById('opponent-select').value = opponent;
+    setOpponent(opponent);
+}
+
+// Remove a saved game; the game in play goes back to autosaving in the default slot
+function deleteSave(slot) {
+    const all = readSaves();
+    if (!all[slot]) return;
+    
+    delete all[slot];
+    if (slot === saves.activeSlot) {
+        saves.activeSlot = AUTOSAVE_SLOT;
+    }
+    if (writeSaves(all)) {
+        renderSaveSlots();
+        showMessage(`Deleted save "${slot}"`, 'info');
+    }
+}
+
+// Short description of a saved game for menus
+function describeSave(slot, save) {
+    const { actions, result } = save.record;
+    const progress = result ? 'finished' : `${actions.length} actions`;
+    return `${slot} (${progress}, saved ${new Date(save.savedAt).toLocaleString()})`;
+}
+
+// List the save slots and which one the game in play autosaves to
+function renderSaveSlots() {
+    const select = document.getElementById('save-slots');
+    const all = readSaves();
+    select.innerHTML = '';
+    Object.keys(all).sort().forEach(slot => {
+        const option = document.createElement('option');
+        option.value = slot;
+        option.textContent = describeSave(slot, all[slot]);
+        select.appendChild(option);
+    });
+    
+    document.getElementById('load-btn').disabled = select.options.length === 0;
+    document.getElementById('delete-save-btn').disabled = select.options.length === 0;
+    document.getElementById('save-status').textContent = `Autosaving to "${saves.activeSlot}"`;
+}
+
+// On page load, offer to resume any unfinished saved games
+function offerResume() {
+    const all = readSaves();
+    const unfinished = Object.keys(all).filter(slot => {
+        const record = all[slot].record;
+        return record && !record.result && record.actions.length > 0;
+    });
+    if (unfinished.length === 0) return;
+    
+    const list = document.getElementById('resume-list');
+    list.innerHTML = '';
+    unfinished.sort().forEach(slot => {
+        const button = document.createElement('button');
+        button.className = 'action-btn';
+        button.textContent = describeSave(slot, all[slot]);
+        button.addEventListener('click', () => loadGame(slot));
+        list.appendChild(button);
+    });
+    document.getElementById('resume-modal').classList.remove('hidden');
+}
+
+// Is this browser playing in an online room?
+function isOnline() {
+    return online.room !== null;
+}
+
+// Join the room typed in (or a new random one), or leave the current room
+function toggleOnline() {
+    if (isOnline()) {
+        leaveOnline();
         return;
     }
     
-    const currentPlayerObj = gameState.players[gameState.currentPlayer];
+    if (location.protocol !== 'http:' && location.protocol !== 'https:') {
+        showMessage('Open the game from server.js (node server.js) to play online', 'error');
+        return;
+    }
     
-    // Check if current player is stunned - only remove if stun wasn't applied this turn
-    if (currentPlayerObj.stunned && !currentPlayerObj.stunnedThisTurn) {
-        currentPlayerObj.stunned = false;
-        logMessage(`Player ${gameState.currentPlayer} is no longer stunned`, 'action');
+    const input = document.getElementById('room-code');
+    const room = input.value.trim() || Math.random().toString(36).slice(2, 7).toUpperCase();
+    if (!/^[A-Za-z0-9-]{1,20}$/.test(room)) {
+        showMessage('Room codes are 1-20 letters, digits or dashes', 'error');
+        return;
     }
+    input.value = room;
+    
+    // Online games are between two browsers, so the computer steps aside
+    document.getElementById('opponent-select').value = 'human';
+    setOpponent('human');
     
-    // Reset stunnedThisTurn flag for next turn
-    if (currentPlayerObj.stunnedThisTurn) {
-        currentPlayerObj.stunnedThisTurn = false;
+    Object.assign(online, { room, player: null, token: sessionStorage.getItem(`avengement-lite-seat-${room}`), opponentConnected: false });
+    connectOnline();
+    renderOnlineStatus();
+}
+
+// Open a WebSocket to the server.js that served this page
+function openServerSocket() {
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return new WebSocket(`${protocol}//${location.host}/ws`);
+}
+
+// Open the connection to server.js and join the room (reclaiming our seat if we have its token)
+function connectOnline() {
+    const socket = openServerSocket();
+    online.socket = socket;
+    
+    // A new room is played under the rules of the game on the board
+    socket.onopen = () => sendOnline({ type: 'join', room: online.room, token: online.token, ruleset: gameState.ruleset });
+    socket.onmessage = event => handleOnlineMessage(JSON.parse(event.data));
+    socket.onclose = () => {
+        if (online.socket !== socket) return;
+        online.socket = null;
+        if (!isOnline()) return;
+        
+        renderOnlineStatus('Disconnected - reconnecting...');
+        setTimeout(() => {
+            if (isOnline() && !online.socket) connectOnline();
+        }, ONLINE_RECONNECT_DELAY);
+    };
+}
+
+// Send a message to the server if the connection is open
+function sendOnline(message) {
+    if (!online.socket || online.socket.readyState !== WebSocket.OPEN) {
+        showMessage('Not connected to the server', 'error');
+        return;
+    }
+    online.socket.send(JSON.stringify(message));
+}
+
+// Apply a message from the server
+function handleOnlineMessage(message) {
+    switch (message.type) {
+        case 'joined': {
+            // The server's copy of the game is authoritative: rebuild ours from its actions
+            Object.assign(online, { player: message.player, token: message.token, opponentConnected: message.opponentConnected });
+            sessionStorage.setItem(`avengement-lite-seat-${online.room}`, message.token);
+            const { actions, states } = GameRecord.replayRecord(GameRecord.createRecord(message.setup, message.actions));
+            setGame(actions, states);
+            GameView.logMessage(`Joined room ${online.room} as ${Rules.sideName(gameState.ruleset, online.player)}`, 'action');
+            updateActionPrompt();
+            updateUI();
+            break;
+        }
+        case 'action':
+            // Out of step (e.g. a message was missed): rejoin to get the full game again
+            if (message.index !== actionHistory.actions.length) {
+                sendOnline({ type: 'join', room: online.room, token: online.token, ruleset: gameState.ruleset });
+                return;
+            }
+            performAction(message.action);
+            break;
+        case 'opponent':
+            online.opponentConnected = message.opponentConnected;
+            GameView.logMessage(`${Rules.sideName(gameState.ruleset, message.player)} ${message.connected ? 'connected' : 'disconnected'}`, 'action');
+            break;
+        case 'restart':
+            setGame([], [message.setup]);
+            GameView.logMessage('New online game started! Player 1 begins.', 'action');
+            updateUI();
+            break;
+        case 'error':
+            showMessage(message.message, 'error');
+            // Refused a seat: there is nothing to stay connected for
+            if (online.player === null) {
+                leaveOnline();
+            }
+            break;
+    }
+    renderOnlineStatus();
+}
+
+// Leave the room; the game in play stays on the board for hot-seat play
+function leaveOnline() {
+    const socket = online.socket;
+    Object.assign(online, { room: null, socket: null, player: null, token: null, opponentConnected: false });
+    if (socket) {
+        socket.close();
+    }
+    updateUI();
+    renderOnlineStatus();
+}
+
+// Describe the online connection next to the room controls
+function renderOnlineStatus(text) {
+    document.getElementById('online-btn').textContent = isOnline() ? 'Leave Room' : 'Play Online';
+    document.getElementById('room-code').disabled = isOnline();
+    document.getElementById('opponent-select').disabled = isOnline();
+    
+    let status = '';
+    if (text) {
+        status = text;
+    } else if (isOnline() && online.player === null) {
+        status = `Connecting to room ${online.room}...`;
+    } else if (isOnline()) {
+        const opponents = Rules.sideIds(gameState.ruleset).length > 2 ? 'opponents' : 'opponent';
+        status = `Room ${online.room}: you are ${Rules.sideName(gameState.ruleset, online.player)}, ` +
+            (online.opponentConnected ? `${opponents} connected` : `waiting for ${opponents}`);
+    }
+    document.getElementById('online-status').textContent = status;
+}
+
+// Is the game in play being broadcast to spectators?
+function isBroadcasting() {
+    return broadcast.code !== null;
+}
+
+// Start broadcasting the game in play under a new random code, or stop
+function toggleBroadcast() {
+    if (isBroadcasting()) {
+        stopBroadcast();
+        return;
+    }
+    
+    if (location.protocol !== 'http:' && location.protocol !== 'https:') {
+        showMessage('Open the game from server.js (node server.js) to broadcast it', 'error');
+        return;
+    }
+    
+    Object.assign(broadcast, { code: Math.random().toString(36).slice(2, 7).toUpperCase(), token: null, hosting: false, spectators: 0 });
+    connectBroadcast();
+    renderBroadcastStatus();
+}
+
+// Open the broadcast's connection to server.js, reconnecting after a drop
+function connectBroadcast() {
+    const socket = openServerSocket();
+    broadcast.socket = socket;
+    
+    socket.onopen = () => socket.send(JSON.stringify({ type: 'host', code: broadcast.code, token: broadcast.token }));
+    socket.onmessage = event => handleBroadcastMessage(JSON.parse(event.data));
+    socket.onclose = () => {
+        if (broadcast.socket !== socket) return;
+        Object.assign(broadcast, { socket: null, hosting: false });
+        if (!isBroadcasting()) return;
+        
+        renderBroadcastStatus('Broadcast disconnected - reconnecting...');
+        setTimeout(() => {
+            if (isBroadcasting() && !broadcast.socket) connectBroadcast();
+        }, ONLINE_RECONNECT_DELAY);
+    };
+}
+
+// Apply a message from the server about the broadcast
+function handleBroadcastMessage(message) {
+    switch (message.type) {
+        case 'hosting':
+            Object.assign(broadcast, { token: message.token, hosting: true, spectators: message.spectators });
+            publishGame();
+            break;
+        case 'spectators':
+            broadcast.spectators = message.count;
+            break;
+        case 'error':
+            showMessage(message.message, 'error');
+            // Refused the code: there is nothing to stay connected for
+            if (!broadcast.hosting) {
+                stopBroadcast();
+            }
+            break;
+    }
+    renderBroadcastStatus();
+}
+
+// Send the whole game in play to the server, which passes what changed on to spectators
+function publishGame() {
+    if (!broadcast.hosting || broadcast.socket.readyState !== WebSocket.OPEN) return;
+    
+    broadcast.socket.send(JSON.stringify({
+        type: 'hostSync',
+        setup: GameRecord.rulesState(currentGameSetup()),
+        actions: actionHistory.actions
+    }));
+}
+
+// End the broadcast; spectators keep the last position they were sent
+function stopBroadcast() {
+    const socket = broadcast.socket;
+    Object.assign(broadcast, { code: null, socket: null, token: null, hosting: false, spectators: 0 });
+    if (socket) {
+        socket.close();
     }
+    renderBroadcastStatus();
+}
+
+// Describe the broadcast and link to its spectator page
+function renderBroadcastStatus(text) {
+    document.getElementById('broadcast-btn').textContent = isBroadcasting() ? 'Stop Broadcast' : 'Broadcast';
+    const status = document.getElementById('broadcast-status');
+    status.innerHTML = '';
+    
+    if (text) {
+        status.textContent = text;
+    } else if (isBroadcasting() && !broadcast.hosting) {
+        status.textContent = `Starting broadcast ${broadcast.code}...`;
+    } else if (isBroadcasting()) {
+        const link = document.createElement('a');
+        link.href = `spectate.html?code=${broadcast.code}`;
+        link.target = '_blank';
+        link.textContent = `spectate.html?code=${broadcast.code}`;
+        status.append(`Broadcasting as ${broadcast.code} (${broadcast.spectators} watching) - `, link);
+    }
+}
+
+// Can the human act right now? Not on the computer's or online opponent's turn, or while viewing a replay
+function isInputLocked() {
+    const opponentsTurn = isOnline() && currentSide() !== online.player;
+    return replay.active || opponentsTurn || isComputerTurn();
+}
+
+// Is the computer due to act?
+function isComputerTurn() {
+    return !gameState.gameOver && !replay.active && currentSide() === computer.player;
+}
+
+// The side to move: the fighter to move, or with teams its team
+function currentSide() {
+    return Rules.sideOf(gameState.ruleset, gameState.currentPlayer);
+}
+
+// Choose the computer's side: 'human' for hot-seat play, otherwise the side number it controls
+function setOpponent(value) {
+    computer.player = value === 'human' ? null : Number(value);
+    computer.requestId++; // Drop any action still being computed
     
-    // Gain 1 AP at end of turn (capped at 6)
-    currentPlayerObj.ap = Math.min(6, currentPlayerObj.ap + 1);
+    if (computer.player !== null && !startSolverWorker()) {
+        return;
+    }
     
-    // Switch players
-    gameState.currentPlayer = gameState.currentPlayer === 1 ? 2 : 1;
-    gameState.currentAction = null;
     gameState.selectedCell = null;
-    gameState.pendingShove = null;
+    refreshHint();
+    updateUI();
+    requestComputerAction();
+}
+
+// Start the solver worker shared by the computer opponent and hints; false if it cannot run
+function startSolverWorker() {
+    if (computer.worker) return true;
+    
+    try {
+        computer.worker = new Worker('ai-worker.js');
+    } catch (err) {
+        solverUnavailable();
+        return false;
+    }
+    computer.worker.onmessage = event => {
+        if (event.data.hint) {
+            handleHint(event);
+        } else if (event.data.analysis || event.data.progress) {
+            handleAnalysis(event);
+        } else {
+            handleComputerAction(event);
+        }
+    };
+    computer.worker.onerror = () => solverUnavailable();
+    return true;
+}
+
+// Fall back to hot-seat play without hints when the worker cannot run (e.g. the page was opened from file://)
+function solverUnavailable() {
+    computer.player = null;
+    computer.worker = null;
+    computer.requestId++;
+    hints.enabled = false;
+    document.getElementById('opponent-select').value = 'human';
+    refreshHint();
+    updateUI();
+    showMessage('The solver could not start - open the game from server.js (node server.js) to play the computer or get hints', 'error');
+}
+
+// Ask the worker for the computer's next action
+function requestComputerAction() {
+    if (!isComputerTurn()) return;
     
-    // Reset action flags for new turn
-    gameState.hasActedThisTurn = false;
-    gameState.hasRestedThisTurn = false;
+    showMessage('Computer is thinking...', 'info');
+    computer.worker.postMessage({ id: ++computer.requestId, state: gameState, timeBudget: COMPUTER_THINK_TIME });
+}
+
+// Play the worker's chosen action after a short pause, unless the game has moved on since
+function handleComputerAction(event) {
+    const { id, action } = event.data;
+    
+    setTimeout(() => {
+        if (id !== computer.requestId || !isComputerTurn()) return;
+        showMessage('');
+        performAction(action);
+    }, COMPUTER_ACTION_DELAY);
+}
+
+// Turn hint mode on or off
+function toggleHints() {
+    hints.enabled = !hints.enabled && startSolverWorker();
+    refreshHint();
+    updateUI();
+}
+
+// Drop the current hint and, in hint mode, ask the worker about the current position
+function refreshHint() {
+    hints.current = null;
+    hints.requestId++;
     
-    logMessage(`Turn ended. Player ${gameState.currentPlayer}'s turn begins.`, 'action');
+    if (hints.enabled && !gameState.gameOver && !isComputerTurn()) {
+        computer.worker.postMessage({ id: hints.requestId, type: 'hint', state: gameState, timeBudget: HINT_THINK_TIME });
+    }
+    renderHintPanel();
+}
+
+// Show a hint from the worker, unless the position has changed since it was requested
+function handleHint(event) {
+    const { id, hint } = event.data;
+    if (id !== hints.requestId) return;
     
+    hints.current = hint;
     updateUI();
+    renderHintPanel();
+}
+
+// Board square the hinted action is played on, if any (skipping a shove means clicking yourself)
+function hintTarget(action) {
+    if (action.type === 'skipShove') {
+        return gameState.players[gameState.currentPlayer].position;
+    }
+    return action.row === undefined ? null : { row: action.row, col: action.col };
+}
+
+// Result of a proof from the point of view of the side to move: 'win', 'loss', 'draw' or null
+function proofOutcome(proofStatus, proofPlayer) {
+    if (proofStatus === 'proven-draw') return 'draw';
+    if (!proofStatus) return null;
+    
+    const winner = proofStatus === 'proven-win' ? proofPlayer : Rules.opponentOf(proofPlayer);
+    return winner === currentSide() ? 'win' : 'loss';
+}
+
+// Fill the hint panel with the position's evaluation and the top alternatives
+function renderHintPanel() {
+    document.getElementById('hint-btn').classList.toggle('active', hints.enabled);
+    document.getElementById('hint-panel').classList.toggle('hidden', !hints.enabled);
+    
+    const evaluation = document.getElementById('hint-evaluation');
+    const list = document.getElementById('hint-alternatives');
+    list.innerHTML = '';
+    
+    if (!hints.current) {
+        evaluation.textContent = hints.enabled && !gameState.gameOver && !isComputerTurn() ? 'Analyzing position...' : '';
+        return;
+    }
+    
+    const { proof, alternatives } = hints.current;
+    const outcome = proof && proofOutcome(proof.proofStatus, proof.proofPlayer);
+    const distance = proof && proof.distance ? ` in ${proof.distance} actions with best play` : '';
+    evaluation.textContent = outcome
+        ? `Proven ${outcome} for ${Rules.sideName(gameState.ruleset, currentSide())}${distance}`
+        : `Not proven - ${Rules.sideName(gameState.ruleset, currentSide())} to move`;
+    
+    alternatives.slice(0, HINT_ALTERNATIVES).forEach(alternative => {
+        const childOutcome = proofOutcome(alternative.proofStatus, alternative.proofPlayer);
+        const rate = alternative.winRate === null ? 'unexplored' : `${(alternative.winRate * 100).toFixed(1)}% win rate`;
+        const item = document.createElement('li');
+        item.textContent = `${alternative.description}: ${rate} (${alternative.visits} visits)${childOutcome ? ` [proven ${childOutcome}]` : ''}`;
+        list.appendChild(item);
+    });
+}
+
+// Send the finished game to the worker for move-by-move analysis
+function analyzeGame() {
+    if (!startSolverWorker()) return;
+    
+    document.getElementById('game-over-modal').classList.add('hidden');
+    document.querySelectorAll('.log-annotation').forEach(annotation => annotation.remove());
+    showMessage('Analyzing game...', 'info');
+    computer.worker.postMessage({
+        id: ++analysis.requestId,
+        type: 'analyze',
+        setup: currentGameSetup(),
+        actions: actionHistory.actions,
+        timeBudget: ANALYSIS_THINK_TIME
+    });
+}
+
+// Show analysis progress, then annotate the log with the blunders and mistakes found
+function handleAnalysis(event) {
+    const { id, progress, analysis: results } = event.data;
+    if (id !== analysis.requestId) return;
+    
+    if (progress) {
+        showMessage(`Analyzing game... ${progress.done}/${progress.total} actions`, 'info');
+        return;
+    }
+    
+    const counts = { blunder: 0, mistake: 0 };
+    results.forEach(result => {
+        const note = judgeAction(result);
+        if (note) {
+            counts[note.kind]++;
+            annotateAction(result, note);
+        }
+    });
+    
+    const summary = `Analysis complete: ${counts.blunder} blunder(s), ${counts.mistake} mistake(s)`;
+    GameView.logMessage(summary, 'action');
+    showMessage(summary, 'success');
+}
+
+// Classify an analyzed action: a blunder if it gave up a proven result, a mistake if a
+// clearly better action existed by MCTS win rate, otherwise null
+function judgeAction(result) {
+    const outcomes = ['loss', 'draw', 'win'];
+    const value = winner => winner === null ? null : (winner === 0 ? 1 : (winner === result.side ? 2 : 0));
+    const before = value(result.winnerBefore);
+    const after = value(result.winnerAfter);
+    const better = result.best ? ` Better: ${result.best}` : '';
+    
+    if (before !== null && after !== null && after < before) {
+        return { kind: 'blunder', text: `?? Blunder: turned a proven ${outcomes[before]} into a proven ${outcomes[after]}.${better}` };
+    }
+    if (result.playedRate !== null && result.bestRate !== null && result.bestRate - result.playedRate >= MISTAKE_MARGIN) {
+        const percent = rate => `${(rate * 100).toFixed(1)}%`;
+        return { kind: 'mistake', text: `? Mistake: ${percent(result.playedRate)} win rate against ${percent(result.bestRate)} for the best action.${better}` };
+    }
+    return null;
+}
+
+// Attach an analysis note to the first log entry of an action (or a new entry if it has none)
+function annotateAction(result, note) {
+    let entry = document.querySelector(`#log-content [data-action="${result.index}"]`);
+    if (!entry) {
+        entry = GameView.logMessage(`Action ${result.index + 1} (Player ${result.player}): ${Rules.describeAction(actionHistory.actions[result.index], gameState.ruleset)}`, 'action');
+    }
+    
+    const annotation = document.createElement('span');
+    annotation.className = `log-annotation ${note.kind}`;
+    annotation.textContent = note.text;
+    entry.appendChild(annotation);
 }
 
-// End game
+// End game (winnerId is null for a draw)
 function endGame(winnerId) {
-    gameState.gameOver = true;
-    logMessage(`Player ${winnerId} wins!`, 'action');
+    document.getElementById('winner-text').textContent = winnerId === null ? 'Draw!' : `${Rules.sideName(gameState.ruleset, winnerId)} Wins!`;
     
-    document.getElementById('winner-text').textContent = `Player ${winnerId} Wins!`;
     document.getElementById('game-over-modal').classList.remove('hidden');
 }
 
-// Restart game
-function restartGame() {
-    // Reset game state
-    gameState.board = Array(3).fill(null).map(() => Array(3).fill(null));
-    gameState.players = {
-        1: { hp: 7, maxHp: 7, ap: 0, position: { row: 0, col: 1 }, stunned: false, stunnedThisTurn: false },
-        2: { hp: 7, maxHp: 7, ap: 0, position: { row: 2, col: 1 }, stunned: false, stunnedThisTurn: false }
-    };
-    gameState.currentPlayer = 1;
-    gameState.currentAction = null;
-    gameState.selectedCell = null;
-    gameState.lungingStrikesState = null;
-    gameState.pendingShove = null;
-    gameState.hasActedThisTurn = false;
-    gameState.hasRestedThisTurn = false;
-    gameState.gameOver = false;
+// Replace the game in play with the given actions and the positions they pass through
+// (states[i] is the position before actions[i]; the last state is the current position)
+function setGame(actions, states) {
+    // Drop any pending computer action or analysis
+    computer.requestId++;
+    analysis.requestId++;
+    
+    Object.assign(gameState, Rules.cloneState(states[states.length - 1]), {
+        currentAction: null,
+        selectedCell: null
+    });
+    Object.assign(actionHistory, { actions: actions.slice(), states: states.slice(0, -1), undone: [] });
+    replay.active = false;
+    
+    // The computer cannot play a fighter the new game does not have
+    if (computer.player > Rules.sideIds(gameState.ruleset).length) {
+        computer.player = null;
+        document.getElementById('opponent-select').value = 'human';
+    }
+    renderReplayControls();
     
     // Clear log
     document.getElementById('log-content').innerHTML = '';
     
     // Hide modal
     document.getElementById('game-over-modal').classList.add('hidden');
+    refreshHint();
+    publishGame();
+}
+
+// Restart game under the same rules
+function restartGame() {
+    // Online, the server starts the new game for both players
+    if (isOnline()) {
+        document.getElementById('game-over-modal').classList.add('hidden');
+        sendOnline({ type: 'restart' });
+        return;
+    }
+    
+    newGame(gameState.ruleset, 'Game restarted! Player 1 begins.');
+}
+
+// Start a new game under a ruleset (a new game autosaves to the default slot, so named saves are kept)
+function newGame(ruleset, message) {
+    setGame([], [Rules.initialState(ruleset)]);
+    saves.activeSlot = AUTOSAVE_SLOT;
     
     // Reinitialize
-    placeInitialFighters();
     updateUI();
-    logMessage('Game restarted! Player 1 begins.', 'action');
+    renderSaveSlots();
+    GameView.logMessage(message, 'action');
+    requestComputerAction();
+}
+
+// Open the custom game screen on the rules of the game in play
+function openCustomGame() {
+    if (isOnline()) {
+        showMessage('Leave the online room to start a custom game', 'error');
+        return;
+    }
+    
+    fillCustomForm(gameState.ruleset);
+    document.getElementById('custom-error').textContent = '';
+    document.getElementById('custom-modal').classList.remove('hidden');
+}
+
+// Show a ruleset in the custom game form, with each field's allowed range
+function fillCustomForm(ruleset) {
+    document.querySelectorAll('#custom-rules [data-rule]').forEach(input => {
+        const { min, max } = Rules.RULESET_LIMITS[input.dataset.rule];
+        Object.assign(input, { min, max, value: ruleset[input.dataset.rule] });
+    });
+    document.querySelectorAll('#custom-rules [data-flag]').forEach(input => {
+        input.checked = ruleset[input.dataset.flag];
+    });
+    document.querySelectorAll('#custom-rules [data-start]').forEach(input => {
+        const id = Number(input.dataset.start);
+        const position = ruleset.startPositions[id] || Rules.sideStartPosition(ruleset, id);
+        const size = input.dataset.axis === 'row' ? ruleset.boardHeight : ruleset.boardWidth;
+        Object.assign(input, { min: 0, max: size - 1, value: position[input.dataset.axis] });
+    });
+    document.querySelectorAll('#custom-rules [data-class]').forEach(select => {
+        select.innerHTML = '';
+        Object.entries(Rules.FIGHTER_CLASSES).forEach(([id, fighterClass]) => {
+            select.add(new Option(`${fighterClass.name} (${Rules.ABILITIES[fighterClass.ability].name})`, id));
+        });
+        select.value = ruleset.classes[select.dataset.class] || 'warrior';
+    });
+    customGame.terrain = ruleset.terrain.map(square => ({ ...square }));
+    showCustomPlayers();
+}
+
+// Number of players entered in the custom game form (the fewest allowed while it is not valid)
+function customPlayerCount() {
+    const value = Number(document.querySelector('#custom-rules [data-rule="playerCount"]').value);
+    const { min, max } = Rules.RULESET_LIMITS.playerCount;
+    return Number.isInteger(value) && value >= min && value <= max ? value : min;
+}
+
+// Show the custom game form's class and start fields for the players entered, and only their start squares
+function showCustomPlayers() {
+    const count = customPlayerCount();
+    document.querySelectorAll('#custom-rules [data-player]').forEach(label => {
+        label.classList.toggle('hidden', Number(label.dataset.player) > count);
+    });
+    renderTerrainEditor();
+}
+
+// Board size entered in the custom game form, or null while it is not a valid size
+function customBoardSize() {
+    const size = {};
+    for (const name of ['boardWidth', 'boardHeight']) {
+        const value = Number(document.querySelector(`#custom-rules [data-rule="${name}"]`).value);
+        const { min, max } = Rules.RULESET_LIMITS[name];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return null;
+        }
+        size[name] = value;
+    }
+    return size;
+}
+
+// Terrain from the editor that fits on the board size entered in the form
+function customTerrain() {
+    const size = customBoardSize();
+    return customGame.terrain.filter(square => size && square.row < size.boardHeight && square.col < size.boardWidth);
+}
+
+// Draw the custom game form's terrain editor at the board size entered, marking the start squares
+function renderTerrainEditor() {
+    const editor = document.getElementById('terrain-editor');
+    editor.innerHTML = '';
+    const size = customBoardSize();
+    if (!size) return;
+    
+    editor.style.setProperty('--board-cols', size.boardWidth);
+    editor.style.setProperty('--board-rows', size.boardHeight);
+    const start = id => ['row', 'col'].map(axis => Number(document.querySelector(`#custom-rules [data-start="${id}"][data-axis="${axis}"]`).value));
+    for (let row = 0; row < size.boardHeight; row++) {
+        for (let col = 0; col < size.boardWidth; col++) {
+            const square = document.createElement('button');
+            square.type = 'button';
+            square.className = 'terrain-cell';
+            const terrain = customGame.terrain.find(t => t.row === row && t.col === col);
+            if (terrain) {
+                square.classList.add(`terrain-${terrain.type}`);
+            }
+            for (let id = 1; id <= customPlayerCount(); id++) {
+                const [startRow, startCol] = start(id);
+                if (startRow === row && startCol === col) {
+                    square.classList.add(`player${id}`);
+                    square.textContent = `P${id}`;
+                }
+            }
+            square.title = `(${row}, ${col}): ${terrain ? terrain.type : 'plain'}`;
+            square.addEventListener('click', () => cycleTerrain(row, col));
+            editor.appendChild(square);
+        }
+    }
+}
+
+// Step a square of the terrain editor on to the next terrain type (after the last, plain again)
+function cycleTerrain(row, col) {
+    const index = customGame.terrain.findIndex(t => t.row === row && t.col === col);
+    const current = index === -1 ? -1 : Rules.TERRAIN_TYPES.indexOf(customGame.terrain[index].type);
+    const next = Rules.TERRAIN_TYPES[current + 1];
+    if (index !== -1) {
+        customGame.terrain.splice(index, 1);
+    }
+    if (next) {
+        customGame.terrain.push({ row, col, type: next });
+    }
+    renderTerrainEditor();
+}
+
+// The ruleset entered in the custom game form; throws an Error if it is invalid
+function readCustomForm() {
+    const fields = { startPositions: {}, classes: {} };
+    document.querySelectorAll('#custom-rules [data-rule]').forEach(input => {
+        fields[input.dataset.rule] = Number(input.value);
+    });
+    
+    // Fields for players beyond the number entered are left out; teams need all four
+    const count = customPlayerCount();
+    document.querySelectorAll('#custom-rules [data-flag]').forEach(input => {
+        fields[input.dataset.flag] = count === 4 && input.checked;
+    });
+    document.querySelectorAll('#custom-rules [data-start]').forEach(input => {
+        const id = Number(input.dataset.start);
+        if (id > count) return;
+        fields.startPositions[id] = { ...fields.startPositions[id], [input.dataset.axis]: Number(input.value) };
+    });
+    document.querySelectorAll('#custom-rules [data-class]').forEach(select => {
+        if (Number(select.dataset.class) > count) return;
+        fields.classes[select.dataset.class] = select.value;
+    });
+    fields.terrain = customTerrain();
+    return Rules.createRuleset(fields);
+}
+
+// Start a new game under the rules in the custom game form
+function startCustomGame() {
+    let ruleset;
+    try {
+        ruleset = readCustomForm();
+    } catch (err) {
+        document.getElementById('custom-error').textContent = err.message;
+        return;
+    }
+    
+    document.getElementById('custom-modal').classList.add('hidden');
+    const kind = Rules.isDefaultRuleset(ruleset) ? 'Standard' : 'Custom';
+    newGame(ruleset, `${kind} game started! Player 1 begins.`);
+}
+
+// Download the rules in the custom game form as a ruleset file
+function exportRuleset() {
+    let ruleset;
+    try {
+        ruleset = readCustomForm();
+    } catch (err) {
+        document.getElementById('custom-error').textContent = err.message;
+        return;
+    }
+    
+    const blob = new Blob([Rules.formatRuleset(ruleset)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'avengement-lite-rules.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Load a ruleset file chosen by the user into the custom game form
+function importRuleset(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow the same file to be chosen again
+    if (!file) return;
+    
+    file.text().then(text => {
+        fillCustomForm(Rules.parseRuleset(text));
+        document.getElementById('custom-error').textContent = '';
+    }).catch(err => {
+        document.getElementById('custom-error').textContent = `Could not import rules: ${err.message}`;
+    });
 }
 
 // Show message
@@ -713,15 +1897,5 @@ function showMessage(text, type = 'info') {
     messageDiv.className = `action-message ${type}`;
 }
 
-// Log message to game log
-function logMessage(text, type = 'action') {
-    const logContent = document.getElementById('log-content');
-    const entry = document.createElement('div');
-    entry.className = `log-entry ${type}`;
-    entry.textContent = text;
-    logContent.appendChild(entry);
-    logContent.scrollTop = logContent.scrollHeight;
-}
-
 // Initialize game when page loads
 window.addEventListener('DOMContentLoaded', initGame);
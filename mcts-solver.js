@@ -1,23 +1,69 @@
 // MCTS Solver for Avengement Lite
 // Determines if the game is a first player win with perfect play
 
-const fs = require('fs');
-const path = require('path');
-const CACHE_FILE = path.join(__dirname, 'mcts-cache.json');
+// In Node.js dependencies are required; in a browser or Web Worker, load rules.js first
+const isNode = typeof module !== 'undefined' && module.exports;
+const fs = isNode ? require('fs') : null;
+const path = isNode ? require('path') : null;
+const Rules = isNode ? require('./rules') : self.Rules;
+const CACHE_FILE = isNode ? path.join(__dirname, 'mcts-cache.json') : 'mcts-cache.json';
+
+// Bump whenever hashState or the rules change so stale proofs are discarded, not trusted
+const CACHE_VERSION = 11;
+
+// Winner implied by a proof (0 for a draw), or null if unproven.
+// 'proven-win'/'proven-loss' are relative to proofPlayer; 'proven-draw' has no proofPlayer.
+// Only games between two sides have proven losses; with more sides a proof names its winner.
+function proofWinner(proofStatus, proofPlayer) {
+    switch (proofStatus) {
+        case 'proven-win': return proofPlayer;
+        case 'proven-loss': return Rules.opponentOf(proofPlayer);
+        case 'proven-draw': return 0;
+        default: return null;
+    }
+}
+
+// Strength presets for chooseAction, weakest first.
+// iterations 0 plays the simulation policy directly; useProofs plays cached proven moves first.
+const SKILL_LEVELS = {
+    casual: { iterations: 0 },
+    easy: { iterations: 100, explorationConstant: 3 },
+    medium: { iterations: 500, explorationConstant: 2.5 },
+    hard: { iterations: 2000, explorationConstant: 2 },
+    perfect: { iterations: 20000, explorationConstant: Math.sqrt(2), useProofs: true }
+};
+
+// Seeded random number generator (mulberry32) returning floats in [0, 1) like Math.random
+function createRandom(seed) {
+    let t = seed >>> 0;
+    return () => {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), t | 1);
+        r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
 class GameNode {
-    constructor(state, parent = null, moveDescription = null) {
-        this.state = JSON.parse(JSON.stringify(state)); // Deep clone
+    constructor(state, parent = null, moveDescription = null, move = null) {
+        this.state = Rules.cloneState(state);
         this.parent = parent;
         this.moveDescription = moveDescription;
+        this.move = move; // Action that led here from the parent
         this.children = [];
         this.visits = 0;
-        this.wins = 0;
+        this.scores = {}; // Side id -> score: 1 per win, a share (1/sides) per draw
+        this.draws = 0;
         this.untriedMoves = null;
         
         // Proof-number search fields
         this.proofStatus = null; // null, 'proven-win', 'proven-loss', 'proven-draw'
-        this.proofPlayer = null; // Which player this is proven for (1 or 2)
+        this.proofPlayer = null; // Which player this is proven for
+    }
+    
+    // The share of playouts through this node won by a player (draws counting as a share)
+    winRateFor(player) {
+        return (this.scores[player] || 0) / this.visits;
     }
 
     isFullyExpanded() {
@@ -25,61 +71,304 @@ class GameNode {
     }
 
     isTerminal() {
-        return this.state.gameOver || this.state.players[1].hp <= 0 || this.state.players[2].hp <= 0;
+        return this.state.gameOver;
     }
 
+    // Winner of a finished game: the last side standing, or 0 for a draw
     getWinner() {
-        if (this.state.players[1].hp <= 0) return 2;
-        if (this.state.players[2].hp <= 0) return 1;
-        return null;
+        return this.state.winner || 0;
     }
     
     isProven() {
         return this.proofStatus !== null;
     }
     
+    // Proven outcome as a winner (0 for a draw), or null if unproven
+    provenWinner() {
+        return proofWinner(this.proofStatus, this.proofPlayer);
+    }
+    
     isProvenWinFor(player) {
-        return this.proofStatus === 'proven-win' && this.proofPlayer === player;
+        return this.provenWinner() === player;
     }
     
     isProvenLossFor(player) {
-        return this.proofStatus === 'proven-loss' && this.proofPlayer === player;
+        const winner = this.provenWinner();
+        return winner !== null && winner !== 0 && winner !== player;
+    }
+    
+    isProvenDraw() {
+        return this.proofStatus === 'proven-draw';
     }
 }
 
 class MCTSSolver {
-    constructor(iterations = 10000, explorationConstant = Math.sqrt(2)) {
+    constructor(iterations = 10000, explorationConstant = Math.sqrt(2), seed = null) {
         this.iterations = iterations;
         this.explorationConstant = explorationConstant;
+        this.seed(seed);
         this.provenNodes = 0;
         this.provenWins = 0;
         this.provenLosses = 0;
+        this.provenDraws = 0;
         
-        // Transposition table: Map of state hash -> {proofStatus, proofPlayer, visits, wins}
-        this.transpositionTable = new Map();
+        // Transposition tables, one per ruleset so variants never share proofs:
+        // Map of ruleset key -> Map of canonical state key -> {proofStatus, proofPlayer, bestMove?}
+        this.transpositionTables = new Map();
+        this.tableRulesets = new Map(); // Ruleset key -> the ruleset, for saving
+        this.rulesetKeys = new WeakMap(); // Ruleset object -> its key, as states share rulesets
+        this.mirrorSymmetry = new WeakMap(); // Ruleset object -> whether its board is mirror-symmetric
         this.cacheHits = 0;
         this.cacheMisses = 0;
     }
     
-    // Hash a game state for transposition table
-    hashState(state) {
-        // Create a canonical representation of the state
-        const p1 = state.players[1];
-        const p2 = state.players[2];
+    // Make playouts repeatable from this seed (null goes back to Math.random)
+    seed(value) {
+        this.random = value === null ? Math.random : createRandom(value);
+    }
+    
+    // Transposition table for a ruleset, created on first use
+    tableFor(ruleset) {
+        let key = this.rulesetKeys.get(ruleset);
+        if (key === undefined) {
+            key = Rules.rulesetKey(ruleset);
+            this.rulesetKeys.set(ruleset, key);
+        }
+        
+        let table = this.transpositionTables.get(key);
+        if (!table) {
+            table = new Map();
+            this.transpositionTables.set(key, table);
+            this.tableRulesets.set(key, ruleset);
+        }
+        return table;
+    }
+    
+    // Positions cached across all rulesets
+    cacheSize() {
+        let size = 0;
+        for (const table of this.transpositionTables.values()) {
+            size += table.size;
+        }
+        return size;
+    }
+    
+    // Hash a game state for its ruleset's transposition table.
+    // Packs every field that legality depends on (including mid-turn and mid-Lunging
+    // state and the solver's own pruning fields) into a single mixed-radix integer.
+    // The product of the radices is about 2^44 for the standard rules, so the key is exact
+    // as a JS number. Rulesets whose product passes 2^53 (mostly large boards) pack into a
+    // BigInt instead, keyed by its decimal string with an `n` suffix, e.g. '12345n'.
+    // With `mirrored` set, the state is hashed as if reflected across the middle column.
+    hashState(state, mirrored = false) {
+        const { boardWidth, boardHeight, playerCount, lungingCombos, maxTurns } = state.ruleset;
+        const squares = boardWidth * boardHeight;
+        const square = pos => pos.row * boardWidth + (mirrored ? boardWidth - 1 - pos.col : pos.col);
+        const ids = Rules.playerIds(state.ruleset);
+        const stats = {};
+        ids.forEach(id => stats[id] = Rules.fighterStats(state.ruleset, id));
+        const maxAp = Math.max(...ids.map(id => stats[id].maxAp));
+        const lunging = state.lungingStrikesState;
+        
+        // [value, radix] pairs, most significant first.
+        // A missing turn (0) is used by the retrograde solver, which works without the turn limit.
+        const fields = [[state.turn == null ? 0 : state.turn, maxTurns + 2], [state.currentPlayer - 1, playerCount]];
+        for (const id of ids) {
+            const player = state.players[id];
+            fields.push(
+                [player.hp, stats[id].maxHp + 1],
+                [player.ap, stats[id].maxAp + 1],
+                // An eliminated fighter (0 HP) is off the board
+                [player.position ? square(player.position) : 0, squares],
+                [player.stunned ? 1 : 0, 2],
+                [player.stunnedThisTurn ? 1 : 0, 2]
+            );
+        }
+        fields.push(
+            [state.hasActedThisTurn ? 1 : 0, 2],
+            [state.hasRestedThisTurn ? 1 : 0, 2],
+            // A shove always starts from its target's square, so the target's id (or 0) is enough
+            [state.pendingShove ? state.pendingShove.target : 0, playerCount + 1],
+            [lunging ? lunging.phase + 1 : 0, lungingCombos + 1],
+            [lunging && lunging.waitingForMove ? 1 : 0, 2],
+            [lunging ? lunging.currentShoveIndex : 0, playerCount]
+        );
+        if (state.ruleset.teams) {
+            fields.push([state.hasSwitchedThisTurn ? 1 : 0, 2]);
+        }
+        // A combo queues at most one shove per other fighter
+        for (let i = 0; i < playerCount - 1; i++) {
+            const shove = lunging && lunging.pendingShoves[i];
+            fields.push([shove ? shove.target : 0, playerCount + 1]);
+        }
+        fields.push(
+            [state.turnStartAP == null ? maxAp + 1 : state.turnStartAP, maxAp + 2],
+            [state.lastPosition ? square(state.lastPosition) : squares, squares + 1]
+        );
+        
+        let key = 0;
+        let range = 1;
+        for (const [value, radix] of fields) {
+            key = key * radix + value;
+            range *= radix;
+        }
+        if (range <= Number.MAX_SAFE_INTEGER) {
+            return key;
+        }
+        
+        let bigKey = 0n;
+        for (const [value, radix] of fields) {
+            bigKey = bigKey * BigInt(radix) + BigInt(value);
+        }
+        return `${bigKey}n`;
+    }
+    
+    // Turn a key read back from JSON (where object keys are strings) into a hashState key
+    parseKey(text) {
+        return text.endsWith('n') ? text : Number(text);
+    }
+    
+    // Whether a ruleset's board is unchanged by reflecting it across the middle column.
+    // Terrain placed on one side only breaks the symmetry.
+    isMirrorSymmetric(ruleset) {
+        let symmetric = this.mirrorSymmetry.get(ruleset);
+        if (symmetric === undefined) {
+            symmetric = ruleset.terrain.every(square =>
+                Rules.terrainAt(ruleset, { row: square.row, col: ruleset.boardWidth - 1 - square.col }) === square.type);
+            this.mirrorSymmetry.set(ruleset, symmetric);
+        }
+        return symmetric;
+    }
+    
+    // Canonical key under the board's left-right mirror symmetry, where the board has it.
+    // Mirrored positions are equivalent, so both share the smaller of the two keys
+    // (string keys compare as text, which picks one just as consistently);
+    // `mirrored` says whether the state must be reflected to reach the canonical frame.
+    canonicalKey(state) {
+        const key = this.hashState(state);
+        if (!this.isMirrorSymmetric(state.ruleset)) {
+            return { key, mirrored: false };
+        }
+        const mirrorKey = this.hashState(state, true);
+        return mirrorKey < key ? { key: mirrorKey, mirrored: true } : { key, mirrored: false };
+    }
+    
+    // Rebuild a state under a ruleset from an (unmirrored) key; the inverse of hashState
+    decodeKey(key, ruleset) {
+        const { boardWidth, boardHeight, playerCount, lungingCombos, maxTurns } = ruleset;
+        const squares = boardWidth * boardHeight;
+        const ids = Rules.playerIds(ruleset);
+        const stats = {};
+        ids.forEach(id => stats[id] = Rules.fighterStats(ruleset, id));
+        const maxAp = Math.max(...ids.map(id => stats[id].maxAp));
+        let rest = typeof key === 'string' ? BigInt(key.slice(0, -1)) : key;
+        const take = radix => {
+            if (typeof rest === 'bigint') {
+                const value = rest % BigInt(radix);
+                rest /= BigInt(radix);
+                return Number(value);
+            }
+            const value = rest % radix;
+            rest = (rest - value) / radix;
+            return value;
+        };
+        const position = square => ({ row: Math.floor(square / boardWidth), col: square % boardWidth });
+        
+        // Peel fields off least significant first (reverse of hashState)
+        const lastSquare = take(squares + 1);
+        const turnStartAP = take(maxAp + 2);
+        const shoveTargets = [];
+        for (let i = 0; i < playerCount - 1; i++) {
+            shoveTargets.unshift(take(playerCount + 1));
+        }
+        const hasSwitchedThisTurn = ruleset.teams && take(2) === 1;
+        const currentShoveIndex = take(playerCount);
+        const waitingForMove = take(2) === 1;
+        const lungingPhase = take(lungingCombos + 1);
+        const pendingShoveTarget = take(playerCount + 1);
+        const hasRestedThisTurn = take(2) === 1;
+        const hasActedThisTurn = take(2) === 1;
+        
+        const players = {};
+        for (const id of [...ids].reverse()) {
+            const stunnedThisTurn = take(2) === 1;
+            const stunned = take(2) === 1;
+            const square = take(squares);
+            const ap = take(stats[id].maxAp + 1);
+            const hp = take(stats[id].maxHp + 1);
+            players[id] = { hp, maxHp: stats[id].maxHp, ap, position: hp > 0 ? position(square) : null, stunned, stunnedThisTurn };
+        }
+        const currentPlayer = take(playerCount) + 1;
+        const turn = take(maxTurns + 2);
+        
+        const board = Array(boardHeight).fill(null).map(() => Array(boardWidth).fill(null));
+        const living = ids.filter(id => players[id].hp > 0);
+        for (const id of living) {
+            board[players[id].position.row][players[id].position.col] = id;
+        }
+        const sides = [...new Set(living.map(id => Rules.sideOf(ruleset, id)))];
         
-        // Format: currentPlayer|p1hp|p1ap|p1row|p1col|p1stunned|p2hp|p2ap|p2row|p2col|p2stunned
-        return `${state.currentPlayer}|${p1.hp}|${p1.ap}|${p1.position.row}|${p1.position.col}|${p1.stunned?1:0}|${p2.hp}|${p2.ap}|${p2.position.row}|${p2.position.col}|${p2.stunned?1:0}`;
+        const shove = target => ({ target, fromRow: players[target].position.row, fromCol: players[target].position.col });
+        
+        return {
+            board,
+            players,
+            currentPlayer,
+            turn: turn === 0 ? null : turn,
+            lungingStrikesState: lungingPhase === 0 ? null : {
+                phase: lungingPhase - 1,
+                waitingForMove,
+                pendingShoves: shoveTargets.filter(target => target !== 0).map(shove),
+                currentShoveIndex
+            },
+            pendingShove: pendingShoveTarget !== 0 ? shove(pendingShoveTarget) : null,
+            hasActedThisTurn,
+            hasRestedThisTurn,
+            hasSwitchedThisTurn,
+            gameOver: sides.length === 1 || turn > maxTurns,
+            winner: sides.length === 1 ? sides[0] : null,
+            ruleset,
+            turnStartAP: turnStartAP === maxAp + 1 ? null : turnStartAP,
+            lastPosition: lastSquare === squares ? null : position(lastSquare)
+        };
+    }
+    
+    // Reflect an action's target square across the middle column
+    mirrorAction(action, ruleset) {
+        if (action.col === undefined) {
+            return { type: action.type };
+        }
+        return { type: action.type, row: action.row, col: ruleset.boardWidth - 1 - action.col };
+    }
+    
+    // Look up a cached proof, mapping its stored best move back into this state's frame
+    getCachedProof(state) {
+        const { key, mirrored } = this.canonicalKey(state);
+        const entry = this.tableFor(state.ruleset).get(key);
+        if (!entry || !entry.bestMove || !mirrored) {
+            return entry;
+        }
+        return { ...entry, bestMove: this.mirrorAction(entry.bestMove, state.ruleset) };
+    }
+    
+    // Cache a proven node, storing its best move in the canonical frame
+    cacheProof(node, bestMove = null) {
+        const { key, mirrored } = this.canonicalKey(node.state);
+        const entry = {
+            proofStatus: node.proofStatus,
+            proofPlayer: node.proofPlayer
+        };
+        if (bestMove) {
+            entry.bestMove = mirrored ? this.mirrorAction(bestMove, node.state.ruleset) : { type: bestMove.type, row: bestMove.row, col: bestMove.col };
+        }
+        this.tableFor(node.state.ruleset).set(key, entry);
     }
     
     // Load transposition table from disk
     loadCache() {
         try {
             if (fs.existsSync(CACHE_FILE)) {
-                const data = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
-                this.transpositionTable = new Map(Object.entries(data.table));
-                this.provenNodes = data.provenNodes || 0;
-                console.log(`Loaded cache: ${this.transpositionTable.size} positions, ${this.provenNodes} proven nodes`);
-                return true;
+                return this.loadCacheData(JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8')));
             }
         } catch (err) {
             console.error('Error loading cache:', err.message);
@@ -87,17 +376,40 @@ class MCTSSolver {
         return false;
     }
     
-    // Save transposition table to disk
+    // Fill the transposition tables from parsed cache data (also used by the browser worker).
+    // The cache holds one table per ruleset: { version, rulesets: { [ruleset key]: { ruleset, table } }, ... }
+    loadCacheData(data) {
+        if (data.version !== CACHE_VERSION) {
+            console.log(`Ignoring cache: format version ${data.version || 1} does not match current version ${CACHE_VERSION}`);
+            return false;
+        }
+        this.transpositionTables = new Map();
+        this.tableRulesets = new Map();
+        for (const [rulesetKey, { ruleset, table }] of Object.entries(data.rulesets)) {
+            this.transpositionTables.set(rulesetKey, new Map(Object.entries(table).map(([key, entry]) => [this.parseKey(key), entry])));
+            this.tableRulesets.set(rulesetKey, ruleset);
+        }
+        this.provenNodes = data.provenNodes || 0;
+        console.log(`Loaded cache: ${this.cacheSize()} positions under ${this.transpositionTables.size} rulesets, ${this.provenNodes} proven nodes`);
+        return true;
+    }
+    
+    // Save the transposition tables to disk
     saveCache() {
         try {
+            const rulesets = {};
+            for (const [rulesetKey, table] of this.transpositionTables) {
+                rulesets[rulesetKey] = { ruleset: this.tableRulesets.get(rulesetKey), table: Object.fromEntries(table) };
+            }
             const data = {
-                table: Object.fromEntries(this.transpositionTable),
+                version: CACHE_VERSION,
+                rulesets,
                 provenNodes: this.provenNodes,
                 timestamp: new Date().toISOString(),
-                size: this.transpositionTable.size
+                size: this.cacheSize()
             };
             fs.writeFileSync(CACHE_FILE, JSON.stringify(data, null, 2));
-            console.log(`\nCache saved: ${this.transpositionTable.size} positions`);
+            console.log(`\nCache saved: ${this.cacheSize()} positions`);
             return true;
         } catch (err) {
             console.error('Error saving cache:', err.message);
@@ -111,145 +423,36 @@ class MCTSSolver {
         this.loadCache();
         
         const root = new GameNode(initialState);
-        const rootHash = this.hashState(initialState);
         
         // Check if root is already cached as proven
-        const cachedRoot = this.transpositionTable.get(rootHash);
+        const cachedRoot = this.getCachedProof(initialState);
         if (cachedRoot && cachedRoot.proofStatus) {
             console.log("\n*** ROOT ALREADY PROVEN IN CACHE! ***");
-            console.log(`Proof status: ${cachedRoot.proofStatus} for Player ${cachedRoot.proofPlayer}`);
+            console.log(`Proof status: ${this.describeProof(cachedRoot, initialState.ruleset)}`);
             root.proofStatus = cachedRoot.proofStatus;
             root.proofPlayer = cachedRoot.proofPlayer;
             return this.analyzeResults(root);
         }
         
         console.log("Starting MCTS-Solver search with proof-number tracking and transposition tables...");
-        console.log(`Initial state: P1 HP=${initialState.players[1].hp}, P2 HP=${initialState.players[2].hp}`);
+        console.log(`Initial state: ${Rules.playerIds(initialState.ruleset).map(id => `P${id} HP=${initialState.players[id].hp}`).join(', ')}`);
         
         for (let i = 0; i < this.iterations; i++) {
             // Check if root is proven
             if (root.isProven()) {
                 console.log(`\n*** ROOT PROVEN at iteration ${i + 1}! ***`);
-                console.log(`Proof status: ${root.proofStatus} for Player ${root.proofPlayer}`);
+                console.log(`Proof status: ${this.describeProof(root, initialState.ruleset)}`);
                 break;
             }
             
-            let node = root;
-            
-            // Selection (skip proven nodes)
-            while (node.isFullyExpanded() && !node.isTerminal() && !node.isProven()) {
-                node = this.selectChild(node);
-                // If we selected a proven node, backpropagate and restart
-                if (node.isProven()) {
-                    break;
-                }
-            }
-            
-            // Check transposition table before expansion
-            const nodeHash = this.hashState(node.state);
-            const cached = this.transpositionTable.get(nodeHash);
-            if (cached && cached.proofStatus) {
-                // Use cached proof
-                node.proofStatus = cached.proofStatus;
-                node.proofPlayer = cached.proofPlayer;
-                this.cacheHits++;
-                
-                // Backpropagate the cached result
-                const winner = cached.proofPlayer;
-                this.backpropagateWithProof(node, winner);
-                
-                if ((i + 1) % 1000 === 0) {
-                    const hitRate = (this.cacheHits / (this.cacheHits + this.cacheMisses) * 100).toFixed(1);
-                    console.log(`Iteration ${i + 1}/${this.iterations}: Root win rate = ${(root.wins / root.visits * 100).toFixed(2)}% | Proven: ${this.provenNodes} | Cache: ${this.transpositionTable.size} (${hitRate}% hit)`);
-                }
-                continue;
-            }
-            this.cacheMisses++;
-            
-            // Check for instant win condition (adjacent + not stunned + 4+ AP)
-            if (!node.isTerminal() && !node.isProven() && this.hasInstantWin(node.state)) {
-                const currentPlayer = node.state.currentPlayer;
-                node.proofStatus = 'proven-win';
-                node.proofPlayer = currentPlayer;
-                
-                // Cache instant win position
-                const instantWinHash = this.hashState(node.state);
-                this.transpositionTable.set(instantWinHash, {
-                    proofStatus: node.proofStatus,
-                    proofPlayer: node.proofPlayer
-                });
-                
-                this.provenNodes++;
-                
-                // Backpropagate the proven win
-                this.backpropagateWithProof(node, currentPlayer);
-                
-                if ((i + 1) % 1000 === 0) {
-                    const hitRate = this.cacheHits + this.cacheMisses > 0 
-                        ? (this.cacheHits / (this.cacheHits + this.cacheMisses) * 100).toFixed(1)
-                        : '0.0';
-                    const proofInfo = root.isProven() ? ` [PROVEN: ${root.proofStatus}]` : '';
-                    console.log(`Iteration ${i + 1}/${this.iterations}: Root win rate = ${(root.wins / root.visits * 100).toFixed(2)}%${proofInfo} | Proven: ${this.provenNodes} | Cache: ${this.transpositionTable.size} (${hitRate}% hit)`);
-                    
-                    // Save cache periodically (every 10k iterations)
-                    if ((i + 1) % 10000 === 0) {
-                        this.saveCache();
-                    }
-                }
-                continue;
-            }
-            
-            // Expansion
-            if (!node.isTerminal() && !node.isProven()) {
-                if (node.untriedMoves === null) {
-                    node.untriedMoves = this.getPossibleMoves(node.state);
-                }
-                
-                if (node.untriedMoves.length > 0) {
-                    const move = node.untriedMoves.pop();
-                    const newState = this.applyMove(node.state, move);
-                    const child = new GameNode(newState, node, move.description);
-                    node.children.push(child);
-                    node = child;
-                }
-            }
-            
-            // Check for terminal node and set proof
-            if (node.isTerminal()) {
-                const winner = node.getWinner();
-                if (winner === 1) {
-                    node.proofStatus = 'proven-win';
-                    node.proofPlayer = 1;
-                } else if (winner === 2) {
-                    node.proofStatus = 'proven-win';
-                    node.proofPlayer = 2;
-                }
-                
-                // Cache terminal node
-                const terminalHash = this.hashState(node.state);
-                this.transpositionTable.set(terminalHash, {
-                    proofStatus: node.proofStatus,
-                    proofPlayer: node.proofPlayer
-                });
-            }
-            
-            // Simulation (only if not proven)
-            let winner;
-            if (node.isProven()) {
-                winner = node.proofPlayer;
-            } else {
-                winner = this.simulate(node.state);
-            }
-            
-            // Backpropagation with proof checking
-            this.backpropagateWithProof(node, winner);
+            this.runIteration(root);
             
             if ((i + 1) % 1000 === 0) {
                 const hitRate = this.cacheHits + this.cacheMisses > 0 
                     ? (this.cacheHits / (this.cacheHits + this.cacheMisses) * 100).toFixed(1)
                     : '0.0';
                 const proofInfo = root.isProven() ? ` [PROVEN: ${root.proofStatus}]` : '';
-                console.log(`Iteration ${i + 1}/${this.iterations}: Root win rate = ${(root.wins / root.visits * 100).toFixed(2)}%${proofInfo} | Proven: ${this.provenNodes} | Cache: ${this.transpositionTable.size} (${hitRate}% hit)`);
+                console.log(`Iteration ${i + 1}/${this.iterations}: Root win rate = ${(root.winRateFor(1) * 100).toFixed(2)}%${proofInfo} | Proven: ${this.provenNodes} | Cache: ${this.cacheSize()} (${hitRate}% hit)`);
                 
                 // Save cache periodically (every 10k iterations)
                 if ((i + 1) % 10000 === 0) {
@@ -263,247 +466,327 @@ class MCTSSolver {
         
         return this.analyzeResults(root);
     }
-
-    // UCT selection
-    selectChild(node) {
-        let bestScore = -Infinity;
-        let bestChild = null;
+    
+    // Choose one action for the side to move: a cached proven move if there is one,
+    // otherwise the best root move after running MCTS for up to timeBudget milliseconds
+    findBestAction(state, timeBudget = 1000) {
+        const moves = this.getPossibleMoves(state);
+        if (moves.length <= 1) {
+            return moves[0] || null;
+        }
         
-        for (const child of node.children) {
-            // UCB1 formula
-            const exploitation = child.wins / child.visits;
-            const exploration = this.explorationConstant * Math.sqrt(Math.log(node.visits) / child.visits);
-            const score = exploitation + exploration;
-            
-            if (score > bestScore) {
-                bestScore = score;
-                bestChild = child;
-            }
+        const cached = this.getCachedProof(state);
+        if (cached && cached.bestMove) {
+            return cached.bestMove;
         }
         
-        return bestChild;
+        const root = this.expandRoot(state, moves);
+        const deadline = Date.now() + timeBudget;
+        while (Date.now() < deadline && !root.isProven()) {
+            this.runIteration(root);
+        }
+        
+        return this.pickRootAction(root);
     }
-
-    // Get all possible moves from current state
-    getPossibleMoves(state) {
-        const moves = [];
-        const currentPlayer = state.players[state.currentPlayer];
-        const enemyId = state.currentPlayer === 1 ? 2 : 1;
+    
+    // Choose one action at a preset strength from SKILL_LEVELS. Searches run for a fixed
+    // number of iterations, so a seeded solver makes the same choices every time.
+    chooseAction(state, level = 'perfect') {
+        const preset = SKILL_LEVELS[level];
+        if (!preset) {
+            throw new Error(`Unknown skill level: ${level}`);
+        }
         
-        // If stunned, can only end turn
-        if (currentPlayer.stunned) {
-            moves.push({ type: 'endTurn', description: 'End Turn (Stunned)' });
-            return moves;
+        const moves = this.getPossibleMoves(state);
+        if (moves.length <= 1) {
+            return moves[0] || null;
         }
         
-        // Rest action (always available if not acted)
-        moves.push({ type: 'rest', description: 'Rest (+1 HP, +1 AP)' });
+        if (preset.iterations === 0) {
+            return this.chooseSimulationMove(moves, state);
+        }
         
-        // Move actions (if have AP)
-        if (currentPlayer.ap >= 1) {
-            const validMoves = this.getValidMoves(state, currentPlayer.position);
-            for (const pos of validMoves) {
-                // OPTIMIZATION: Don't move back to the position we just came from
-                if (state.lastPosition && 
-                    state.lastPosition.row === pos.row && 
-                    state.lastPosition.col === pos.col) {
-                    continue; // Skip this move - it's backtracking
-                }
-                
-                moves.push({
-                    type: 'move',
-                    targetRow: pos.row,
-                    targetCol: pos.col,
-                    description: `Move to (${pos.row},${pos.col})`
-                });
+        if (preset.useProofs) {
+            const cached = this.getCachedProof(state);
+            if (cached && cached.bestMove) {
+                return cached.bestMove;
             }
         }
         
-        // Strike actions (if have AP and enemy adjacent)
-        if (currentPlayer.ap >= 1) {
-            const adjacentEnemies = this.getAdjacentEnemies(state, currentPlayer.position, enemyId);
-            for (const pos of adjacentEnemies) {
-                moves.push({
-                    type: 'strike',
-                    targetRow: pos.row,
-                    targetCol: pos.col,
-                    description: `Strike at (${pos.row},${pos.col})`
-                });
+        const explorationConstant = this.explorationConstant;
+        this.explorationConstant = preset.explorationConstant;
+        try {
+            const root = this.expandRoot(state, moves);
+            for (let i = 0; i < preset.iterations && !root.isProven(); i++) {
+                this.runIteration(root);
             }
+            return this.pickRootAction(root);
+        } finally {
+            this.explorationConstant = explorationConstant;
         }
+    }
+    
+    // Evaluate a position for hints: any proof of it, the recommended move, and the mover's
+    // win rate for each searched move (proven wins first, proven losses last, best rate first)
+    evaluatePosition(state, timeBudget = 1000) {
+        const mover = Rules.sideOf(state.ruleset, state.currentPlayer);
+        const cached = this.getCachedProof(state);
+        const moves = this.getPossibleMoves(state);
+        const root = this.expandRoot(state, moves);
         
-        // Lunging Strikes (if have 3+ AP)
-        if (currentPlayer.ap >= 3) {
-            moves.push({
-                type: 'lunging',
-                description: 'Lunging Strikes (3 AP, then stunned)'
-            });
+        const deadline = Date.now() + timeBudget;
+        while (moves.length > 1 && Date.now() < deadline && !root.isProven()) {
+            this.runIteration(root);
         }
         
-        // End turn - OPTIMIZATION: Only allow if we actually did something this turn
-        // (i.e., AP changed from the start of the turn, or we're at max AP)
-        // This prevents "do nothing and end turn" which is strictly worse than resting
-        const didSomethingThisTurn = currentPlayer.ap !== state.turnStartAP || currentPlayer.ap >= 6;
-        if (didSomethingThisTurn) {
-            moves.push({ type: 'endTurn', description: 'End Turn' });
+        const proven = cached && cached.proofStatus ? cached : (root.isProven() ? root : null);
+        const rank = child => child.isProvenWinFor(mover) ? 2 : (child.isProvenLossFor(mover) ? 0 : 1);
+        const winRate = child => child.visits === 0 ? null : child.winRateFor(mover);
+        const alternatives = [...root.children]
+            .sort((a, b) => rank(b) - rank(a) || (winRate(b) || 0) - (winRate(a) || 0))
+            .map(child => ({
+                move: child.move,
+                description: child.moveDescription,
+                winRate: winRate(child),
+                visits: child.visits,
+                proofStatus: child.proofStatus,
+                proofPlayer: child.proofPlayer
+            }));
+        
+        return {
+            proof: proven ? { proofStatus: proven.proofStatus, proofPlayer: proven.proofPlayer } : null,
+            bestMove: (cached && cached.bestMove) || (moves.length > 0 ? this.pickRootAction(root) : null),
+            alternatives
+        };
+    }
+    
+    // Search root with every move already expanded, so a cached proof of the root
+    // itself cannot end the search before its moves have been compared
+    expandRoot(state, moves) {
+        const root = new GameNode(state);
+        root.untriedMoves = [];
+        for (const move of moves) {
+            root.children.push(new GameNode(this.applyMove(state, move), root, move.description, move));
         }
+        return root;
+    }
+    
+    // Best searched move for the side to move: a proven win, else the most visited
+    // move that is not a proven loss
+    pickRootAction(root) {
+        const mover = Rules.sideOf(root.state.ruleset, root.state.currentPlayer);
+        const rank = child => child.isProvenWinFor(mover) ? 2 : (child.isProvenLossFor(mover) ? 0 : 1);
         
-        return moves;
+        let best = root.children[0];
+        for (const child of root.children) {
+            if (rank(child) > rank(best) || (rank(child) === rank(best) && child.visits > best.visits)) {
+                best = child;
+            }
+        }
+        return best.move;
     }
-
-    // Apply a move to create new state
-    applyMove(state, move) {
-        const newState = JSON.parse(JSON.stringify(state));
-        const player = newState.players[newState.currentPlayer];
-        
-        switch (move.type) {
-            case 'rest':
-                player.hp = Math.min(player.maxHp, player.hp + 1);
-                player.ap = Math.min(6, player.ap + 1);
-                // Rest ends the turn
-                this.endTurn(newState);
-                break;
-                
-            case 'move':
-                // Track the position we're leaving (for backtracking prevention)
-                newState.lastPosition = { row: player.position.row, col: player.position.col };
-                
-                newState.board[player.position.row][player.position.col] = null;
-                newState.board[move.targetRow][move.targetCol] = newState.currentPlayer;
-                player.position = { row: move.targetRow, col: move.targetCol };
-                player.ap -= 1;
-                // Move does NOT end turn - player can take more actions
-                break;
-                
-            case 'strike':
-                const enemyId = newState.currentPlayer === 1 ? 2 : 1;
-                newState.players[enemyId].hp -= 2;
-                player.ap -= 1;
-                if (newState.players[enemyId].hp <= 0) {
-                    newState.gameOver = true;
-                }
-                // Strike does NOT end turn - player can take more actions
-                break;
-                
-            case 'lunging':
-                this.executeLunging(newState);
-                // Lunging ends the turn and stuns the player
-                this.endTurn(newState);
-                break;
-                
-            case 'endTurn':
-                this.endTurn(newState);
+    
+    // One MCTS iteration: selection, expansion, simulation and backpropagation
+    runIteration(root) {
+        let node = root;
+        
+        // Selection (skip proven nodes)
+        while (node.isFullyExpanded() && !node.isTerminal() && !node.isProven()) {
+            node = this.selectChild(node);
+            // If we selected a proven node, backpropagate and restart
+            if (node.isProven()) {
                 break;
+            }
         }
         
-        return newState;
+        // Check transposition table before expansion
+        const cached = this.getCachedProof(node.state);
+        if (cached && cached.proofStatus) {
+            // Use cached proof
+            node.proofStatus = cached.proofStatus;
+            node.proofPlayer = cached.proofPlayer;
+            this.cacheHits++;
+            
+            // Backpropagate the cached result
+            const winner = proofWinner(cached.proofStatus, cached.proofPlayer);
+            this.backpropagateWithProof(node, winner);
+            return;
+        }
+        this.cacheMisses++;
+        
+        // Check for instant win condition (adjacent + not stunned + 4+ AP)
+        if (!node.isTerminal() && !node.isProven() && this.hasInstantWin(node.state)) {
+            const mover = Rules.sideOf(node.state.ruleset, node.state.currentPlayer);
+            node.proofStatus = 'proven-win';
+            node.proofPlayer = mover;
+            
+            // Cache instant win position
+            this.cacheProof(node);
+            
+            this.provenNodes++;
+            
+            // Backpropagate the proven win
+            this.backpropagateWithProof(node, mover);
+            return;
+        }
+        
+        // Expansion
+        if (!node.isTerminal() && !node.isProven()) {
+            if (node.untriedMoves === null) {
+                node.untriedMoves = this.getPossibleMoves(node.state);
+            }
+            
+            if (node.untriedMoves.length > 0) {
+                const move = node.untriedMoves.pop();
+                const newState = this.applyMove(node.state, move);
+                const child = new GameNode(newState, node, move.description, move);
+                node.children.push(child);
+                node = child;
+            }
+        }
+        
+        // Check for terminal node and set proof
+        if (node.isTerminal()) {
+            const winner = node.getWinner();
+            if (winner === 0) {
+                node.proofStatus = 'proven-draw';
+                node.proofPlayer = null;
+            } else {
+                node.proofStatus = 'proven-win';
+                node.proofPlayer = winner;
+            }
+            
+            // Cache terminal node
+            this.cacheProof(node);
+        }
+        
+        // Simulation (only if not proven)
+        let winner;
+        if (node.isProven()) {
+            winner = node.provenWinner();
+        } else {
+            winner = this.simulate(node.state);
+        }
+        
+        // Backpropagation with proof checking
+        this.backpropagateWithProof(node, winner);
     }
 
-    // Execute lunging strikes (simplified - no shove, random movement)
-    executeLunging(state) {
-        const player = state.players[state.currentPlayer];
-        const enemyId = state.currentPlayer === 1 ? 2 : 1;
-        player.ap -= 3;
-        
-        // Check if first strike hits
-        let firstStrikeHit = false;
-        const firstAdjacentEnemies = this.getAdjacentEnemies(state, player.position, enemyId);
-        if (firstAdjacentEnemies.length > 0) {
-            firstStrikeHit = true;
-        }
-        
-        // Perform 3 combos
-        for (let combo = 0; combo < 3; combo++) {
-            // Deal 2 damage to all adjacent enemies
-            const adjacentEnemies = this.getAdjacentEnemies(state, player.position, enemyId);
-            for (const pos of adjacentEnemies) {
-                state.players[enemyId].hp -= 2;
-                if (state.players[enemyId].hp <= 0) {
-                    state.gameOver = true;
-                    return;
-                }
+    // UCT selection
+    selectChild(node) {
+        let bestScore = -Infinity;
+        let bestChild = null;
+        
+        for (const child of node.children) {
+            // Visit every child once before comparing them
+            if (child.visits === 0) {
+                return child;
             }
             
-            // Only move after dealing damage:
-            // - If first strike hit, only move on the LAST combo (combo === 2)
-            // - If first strike missed, move after each strike to try to get in range
-            const shouldMove = firstStrikeHit ? (combo === 2) : true;
+            // UCB1 formula, from the view of the side choosing the move
+            const exploitation = child.winRateFor(Rules.sideOf(node.state.ruleset, node.state.currentPlayer));
+            const exploration = this.explorationConstant * Math.sqrt(Math.log(node.visits) / child.visits);
+            const score = exploitation + exploration;
             
-            if (shouldMove) {
-                const validMoves = this.getValidMoves(state, player.position);
-                if (validMoves.length > 0) {
-                    const randomMove = validMoves[Math.floor(Math.random() * validMoves.length)];
-                    state.board[player.position.row][player.position.col] = null;
-                    state.board[randomMove.row][randomMove.col] = state.currentPlayer;
-                    player.position = { row: randomMove.row, col: randomMove.col };
-                }
+            if (score > bestScore) {
+                bestScore = score;
+                bestChild = child;
             }
         }
         
-        // Stun player (will be applied when turn ends)
-        player.stunned = true;
-        player.stunnedThisTurn = true;
-        
-        // Note: Turn ending is handled in applyMove switch statement
+        return bestChild;
     }
 
-    // Get valid move positions
-    getValidMoves(state, from) {
-        const valid = [];
-        for (let row = 0; row < 3; row++) {
-            for (let col = 0; col < 3; col++) {
-                if (state.board[row][col] === null && this.isValidMoveDistance(from, { row, col })) {
-                    valid.push({ row, col });
+    // Get all possible moves from current state
+    getPossibleMoves(state) {
+        const currentPlayer = state.players[state.currentPlayer];
+        
+        return Rules.legalActions(state)
+            .filter(action => {
+                // OPTIMIZATION: Don't move back to the position we just came from
+                if (action.type === 'move' && state.lastPosition &&
+                    state.lastPosition.row === action.row &&
+                    state.lastPosition.col === action.col) {
+                    return false;
                 }
-            }
-        }
-        return valid;
+                
+                // OPTIMIZATION: Only allow ending the turn if we actually did something this turn
+                // (i.e., AP changed from the start of the turn, or we're at max AP)
+                // This prevents "do nothing and end turn" which is strictly worse than resting
+                if (action.type === 'endTurn' && !currentPlayer.stunned) {
+                    return currentPlayer.ap !== state.turnStartAP ||
+                        currentPlayer.ap >= Rules.fighterStats(state.ruleset, state.currentPlayer).maxAp;
+                }
+                
+                return true;
+            })
+            .map(action => ({ ...action, description: Rules.describeAction(action, state.ruleset) }));
     }
 
-    // Check if move distance is valid (1-2 squares in straight line)
-    isValidMoveDistance(from, to) {
-        const rowDiff = Math.abs(from.row - to.row);
-        const colDiff = Math.abs(from.col - to.col);
-        const distance = Math.max(rowDiff, colDiff);
+    // Apply a move to create new state.
+    // Lunging Strikes is expanded step by step (combo -> optional shoves -> move/stay,
+    // three times), so every reposition and shove is its own branch in the tree.
+    applyMove(state, move) {
+        const newState = Rules.applyAction(state, move);
         
-        if (distance < 1 || distance > 2) return false;
-        if (rowDiff !== 0 && colDiff !== 0 && rowDiff !== colDiff) return false;
+        // Track the position we're leaving (for backtracking prevention)
+        if (move.type === 'move') {
+            const from = state.players[state.currentPlayer].position;
+            newState.lastPosition = { row: from.row, col: from.col };
+        }
         
-        return true;
+        if (newState.currentPlayer !== state.currentPlayer) {
+            // Track starting AP for the new player's turn (to detect "do nothing" turns)
+            newState.turnStartAP = newState.players[newState.currentPlayer].ap;
+            
+            // Clear lastPosition when turn ends (backtracking only matters within a turn)
+            newState.lastPosition = null;
+        }
+        
+        return newState;
     }
 
     // Check if current player has an instant win
-    // Win condition: Adjacent to enemy, not stunned, and 4+ AP
-    // Can deal 8 damage with 4 strikes OR 6+ damage with lunging + strikes
+    // Win condition: one enemy left, not stunned, and adjacent to the enemy (or one move away)
+    // with enough AP to finish them this turn with strikes, or strikes followed by Lunging Strikes
     hasInstantWin(state) {
         const currentPlayer = state.players[state.currentPlayer];
-        const enemyId = state.currentPlayer === 1 ? 2 : 1;
-        const enemy = state.players[enemyId];
+        const side = Rules.sideOf(state.ruleset, state.currentPlayer);
+        const enemies = Rules.livingPlayers(state).filter(id => Rules.sideOf(state.ruleset, id) !== side);
+        if (enemies.length !== 1) {
+            return false;
+        }
+        const enemy = state.players[enemies[0]];
+        const { strikeDamage, lungingCost, lungingCombos } = state.ruleset;
         
-        // Must not be stunned
-        if (currentPlayer.stunned) {
+        // Must not be stunned, or about to be stunned by an unfinished Lunging Strikes
+        if (currentPlayer.stunned || state.lungingStrikesState) {
             return false;
         }
         
-        // Case 1: Already adjacent with 4+ AP
-        const adjacentEnemies = this.getAdjacentEnemies(state, currentPlayer.position, enemyId);
-        if (adjacentEnemies.length > 0 && currentPlayer.ap >= 4) {
-            // With 4 AP adjacent to enemy:
-            // - 4 strikes = 8 damage (kills from 7 HP)
-            // - 1 lunging (3 AP) + 1 strike = 8 damage minimum (6 from lunging, 2 from strike)
-            return enemy.hp <= 7;
+        // Damage dealt from beside the enemy with the given AP: 1 AP per strike, and for a
+        // Warrior, Lunging Strikes (which stuns, so it comes last) hits once per combo when
+        // staying put. Shoves are optional, so the enemy stays adjacent throughout.
+        // Other signature abilities are left out, which can only miss a win, never invent one.
+        const canLunge = Rules.fighterStats(state.ruleset, state.currentPlayer).ability === 'lunging';
+        const damageWith = ap => Math.max(
+            ap * strikeDamage,
+            canLunge && ap >= lungingCost ? (ap - lungingCost + lungingCombos) * strikeDamage : 0
+        );
+        
+        // Case 1: Already adjacent
+        const adjacentEnemies = Rules.getAdjacentEnemies(state, currentPlayer.position, state.currentPlayer);
+        if (adjacentEnemies.length > 0 && damageWith(currentPlayer.ap) >= enemy.hp) {
+            return true;
         }
         
-        // Case 2: Not adjacent but have 5+ AP (can move adjacent for 1 AP, then have 4+ left)
-        // On a 3x3 board, any position can reach any other position in 1-2 moves
-        if (currentPlayer.ap >= 5) {
-            // Check if we can move adjacent to enemy
-            const validMoves = this.getValidMoves(state, currentPlayer.position);
+        // Case 2: Not adjacent, but can move adjacent for 1 AP and finish them with the rest
+        if (currentPlayer.ap >= 1 && !state.hasRestedThisTurn && damageWith(currentPlayer.ap - 1) >= enemy.hp) {
+            const validMoves = Rules.getValidMoves(state, currentPlayer.position);
             for (const move of validMoves) {
-                const adjacentFromMove = this.getAdjacentEnemies(state, move, enemyId);
+                const adjacentFromMove = Rules.getAdjacentEnemies(state, move, state.currentPlayer);
                 if (adjacentFromMove.length > 0) {
-                    // Can move adjacent and will have 4+ AP remaining
-                    return enemy.hp <= 7;
+                    return true;
                 }
             }
         }
@@ -511,56 +794,11 @@ class MCTSSolver {
         return false;
     }
 
-    // Get adjacent enemy positions
-    getAdjacentEnemies(state, pos, enemyId) {
-        const adjacent = [];
-        for (let rowOffset = -1; rowOffset <= 1; rowOffset++) {
-            for (let colOffset = -1; colOffset <= 1; colOffset++) {
-                if (rowOffset === 0 && colOffset === 0) continue;
-                
-                const newRow = pos.row + rowOffset;
-                const newCol = pos.col + colOffset;
-                
-                if (newRow >= 0 && newRow < 3 && newCol >= 0 && newCol < 3) {
-                    if (state.board[newRow][newCol] === enemyId) {
-                        adjacent.push({ row: newRow, col: newCol });
-                    }
-                }
-            }
-        }
-        return adjacent;
-    }
-
-    // End turn logic
-    endTurn(state) {
-        const currentPlayer = state.players[state.currentPlayer];
-        
-        // Remove stun if it wasn't applied this turn
-        if (currentPlayer.stunned && !currentPlayer.stunnedThisTurn) {
-            currentPlayer.stunned = false;
-        }
-        if (currentPlayer.stunnedThisTurn) {
-            currentPlayer.stunnedThisTurn = false;
-        }
-        
-        // Gain 1 AP
-        currentPlayer.ap = Math.min(6, currentPlayer.ap + 1);
-        
-        // Switch players
-        state.currentPlayer = state.currentPlayer === 1 ? 2 : 1;
-        
-        // Track starting AP for the new player's turn (to detect "do nothing" turns)
-        state.turnStartAP = state.players[state.currentPlayer].ap;
-        
-        // Clear lastPosition when turn ends (backtracking only matters within a turn)
-        state.lastPosition = null;
-    }
-
     // Simulate game to completion with random moves
     simulate(state) {
-        const simState = JSON.parse(JSON.stringify(state));
+        const simState = Rules.cloneState(state);
         let actionCount = 0;
-        const maxActions = 500; // Prevent infinite loops (multiple actions per turn now)
+        const maxActions = 500; // Safety net - the turn limit already ends every game
         
         while (!simState.gameOver && actionCount < maxActions) {
             const moves = this.getPossibleMoves(simState);
@@ -571,19 +809,11 @@ class MCTSSolver {
             const newState = this.applyMove(simState, move);
             Object.assign(simState, newState);
             
-            // Check for winner
-            if (simState.players[1].hp <= 0) return 2;
-            if (simState.players[2].hp <= 0) return 1;
-            
             actionCount++;
         }
         
-        // If no winner after max actions, consider it a draw (both lose)
-        if (actionCount >= maxActions) {
-            return 0;
-        }
-        
-        return simState.players[1].hp > simState.players[2].hp ? 1 : 2;
+        // A draw by turn limit (or the action safety cap) has no winner
+        return simState.winner || 0;
     }
 
     // Choose move during simulation (with some strategy)
@@ -592,19 +822,19 @@ class MCTSSolver {
         
         // Prioritize strikes if available
         const strikes = moves.filter(m => m.type === 'strike');
-        if (strikes.length > 0 && Math.random() < 0.7) {
-            return strikes[Math.floor(Math.random() * strikes.length)];
+        if (strikes.length > 0 && this.random() < 0.7) {
+            return strikes[Math.floor(this.random() * strikes.length)];
         }
         
-        // Sometimes use lunging if available and have good AP
-        const lunging = moves.filter(m => m.type === 'lunging');
-        if (lunging.length > 0 && player.ap >= 4 && Math.random() < 0.3) {
-            return lunging[0];
+        // Sometimes use the signature ability if available with AP to spare
+        const abilities = moves.filter(m => Rules.ABILITIES[m.type]);
+        if (abilities.length > 0 && player.ap > Rules.ABILITIES[abilities[0].type].cost(state.ruleset) && this.random() < 0.3) {
+            return abilities[0];
         }
         
         // Consider ending turn if low on AP or no good moves available
         const endTurnMoves = moves.filter(m => m.type === 'endTurn');
-        if (player.ap === 0 || (player.ap === 1 && strikes.length === 0 && Math.random() < 0.6)) {
+        if (player.ap === 0 || (player.ap === 1 && strikes.length === 0 && this.random() < 0.6)) {
             if (endTurnMoves.length > 0) {
                 return endTurnMoves[0];
             }
@@ -612,21 +842,24 @@ class MCTSSolver {
         
         // Filter out endTurn for now, prefer actions
         const actionMoves = moves.filter(m => m.type !== 'endTurn');
-        if (actionMoves.length > 0 && Math.random() < 0.7) {
-            return actionMoves[Math.floor(Math.random() * actionMoves.length)];
+        if (actionMoves.length > 0 && this.random() < 0.7) {
+            return actionMoves[Math.floor(this.random() * actionMoves.length)];
         }
         
         // Random move (including endTurn)
-        return moves[Math.floor(Math.random() * moves.length)];
+        return moves[Math.floor(this.random() * moves.length)];
     }
 
-    // Backpropagate results
+    // Backpropagate results (winner 0 is a draw, shared equally between the sides)
     backpropagate(node, winner) {
+        const ids = Rules.sideIds(node.state.ruleset);
         while (node !== null) {
             node.visits++;
-            // From perspective of player 1
-            if (winner === 1) {
-                node.wins++;
+            if (winner === 0) {
+                ids.forEach(id => node.scores[id] = (node.scores[id] || 0) + 1 / ids.length);
+                node.draws++;
+            } else {
+                node.scores[winner] = (node.scores[winner] || 0) + 1;
             }
             node = node.parent;
         }
@@ -653,54 +886,82 @@ class MCTSSolver {
             return;
         }
         
-        const currentPlayer = node.state.currentPlayer;
+        // The side to move: with teams, the fighter acting plays for its whole side
+        const currentPlayer = Rules.sideOf(node.state.ruleset, node.state.currentPlayer);
         
         // A position is a proven win for current player if ANY child is a proven win for them
         // (because current player chooses the move)
-        let hasProvenWin = false;
-        let allProvenLoss = true;
+        let winningChild = null;
+        let allProven = true;
         
         for (const child of node.children) {
             if (child.isProvenWinFor(currentPlayer)) {
-                hasProvenWin = true;
+                winningChild = child;
                 break;
             }
-            if (!child.isProvenLossFor(currentPlayer)) {
-                allProvenLoss = false;
+            if (!child.isProven()) {
+                allProven = false;
             }
         }
         
-        if (hasProvenWin) {
+        if (winningChild) {
             node.proofStatus = 'proven-win';
             node.proofPlayer = currentPlayer;
             this.provenNodes++;
             this.provenWins++;
             
-            // Cache this proven position
-            const hash = this.hashState(node.state);
-            this.transpositionTable.set(hash, {
-                proofStatus: node.proofStatus,
-                proofPlayer: node.proofPlayer
-            });
+            // Cache this proven position along with the move that wins it
+            this.cacheProof(node, winningChild.move);
             return;
         }
         
-        // A position is a proven loss for current player if ALL children are proven losses
-        // (because opponent will choose the best response)
-        if (allProvenLoss && node.children.length > 0) {
-            node.proofStatus = 'proven-loss';
-            node.proofPlayer = currentPlayer;
+        // Otherwise nothing is known until every move has been proven
+        // (only called on fully expanded nodes, so children cover every move)
+        if (!allProven) {
+            return;
+        }
+        
+        // No winning move but at least one drawing move: the best current player can do is draw
+        const drawingChild = node.children.find(child => child.isProvenDraw());
+        if (drawingChild) {
+            node.proofStatus = 'proven-draw';
+            node.proofPlayer = null;
             this.provenNodes++;
-            this.provenLosses++;
+            this.provenDraws++;
             
-            // Cache this proven position
-            const hash = this.hashState(node.state);
-            this.transpositionTable.set(hash, {
-                proofStatus: node.proofStatus,
-                proofPlayer: node.proofPlayer
-            });
+            this.cacheProof(node, drawingChild.move);
             return;
         }
+        
+        // Every move loses. If they all lose to the same player, that player wins here;
+        // if not, current player picks the winner among the others, which proves nothing.
+        const winners = new Set(node.children.map(child => child.provenWinner()));
+        if (winners.size > 1) {
+            return;
+        }
+        
+        // With two sides, a proven loss for current player (the opponent chooses the reply)
+        if (Rules.sideIds(node.state.ruleset).length === 2) {
+            node.proofStatus = 'proven-loss';
+            node.proofPlayer = currentPlayer;
+            this.provenLosses++;
+        } else {
+            node.proofStatus = 'proven-win';
+            node.proofPlayer = [...winners][0];
+            this.provenWins++;
+        }
+        this.provenNodes++;
+        
+        // Cache this proven position
+        this.cacheProof(node);
+    }
+    
+    // Human-readable proof status
+    describeProof(proof, ruleset) {
+        if (proof.proofStatus === 'proven-draw') {
+            return 'proven-draw';
+        }
+        return `${proof.proofStatus} for ${Rules.sideName(ruleset, proof.proofPlayer)}`;
     }
 
     // Analyze results
@@ -708,68 +969,70 @@ class MCTSSolver {
         console.log("\n=== MCTS-Solver Analysis Complete ===");
         console.log(`Total simulations: ${root.visits}`);
         console.log(`Total proven nodes: ${this.provenNodes}`);
-        console.log(`Transposition table size: ${this.transpositionTable.size}`);
+        console.log(`Transposition table size: ${this.cacheSize()}`);
         const hitRate = this.cacheHits + this.cacheMisses > 0 
             ? (this.cacheHits / (this.cacheHits + this.cacheMisses) * 100).toFixed(1)
             : '0.0';
         console.log(`Cache hit rate: ${hitRate}% (${this.cacheHits} hits, ${this.cacheMisses} misses)`);
-        console.log(`Player 1 wins: ${root.wins} (${(root.wins / root.visits * 100).toFixed(2)}%)`);
-        console.log(`Player 2 wins: ${root.visits - root.wins} (${((root.visits - root.wins) / root.visits * 100).toFixed(2)}%)`);
+        const { ruleset } = root.state;
+        const ids = Rules.sideIds(ruleset);
+        const playerWins = {};
+        for (const id of ids) {
+            playerWins[id] = Math.round((root.scores[id] || 0) - root.draws / ids.length);
+            console.log(`${Rules.sideName(ruleset, id)} wins: ${playerWins[id]} (${(playerWins[id] / root.visits * 100).toFixed(2)}%)`);
+        }
+        console.log(`Draws: ${root.draws} (${(root.draws / root.visits * 100).toFixed(2)}%)`);
         
-        const winRate = root.wins / root.visits;
+        const winRate = root.winRateFor(1);
         
         // Check if root is proven
         if (root.isProven()) {
             console.log("\n*** GAME SOLVED! ***");
-            if (root.isProvenWinFor(1)) {
-                console.log("Player 1 has a PROVEN WIN with perfect play!");
-            } else if (root.isProvenWinFor(2)) {
-                console.log("Player 2 has a PROVEN WIN with perfect play!");
-            } else if (root.proofStatus === 'proven-loss') {
-                console.log(`Player ${root.proofPlayer} has a PROVEN LOSS (opponent wins)!`);
+            const winner = root.provenWinner();
+            if (winner) {
+                console.log(`${Rules.sideName(ruleset, winner)} has a PROVEN WIN with perfect play!`);
+            } else if (root.isProvenDraw()) {
+                console.log("The game is a PROVEN DRAW with perfect play!");
             }
         }
         
-        console.log("\nBest moves for Player 1:");
+        console.log(`\nBest moves for ${Rules.sideName(ruleset, 1)}:`);
         const sortedChildren = [...root.children].sort((a, b) => {
             // Prioritize proven wins
             if (a.isProvenWinFor(1) && !b.isProvenWinFor(1)) return -1;
             if (!a.isProvenWinFor(1) && b.isProvenWinFor(1)) return 1;
             
             // Then sort by win rate
-            const aRate = a.wins / a.visits;
-            const bRate = b.wins / b.visits;
-            return bRate - aRate;
+            return b.winRateFor(1) - a.winRateFor(1);
         });
         
         for (let i = 0; i < Math.min(5, sortedChildren.length); i++) {
             const child = sortedChildren[i];
             const proofStr = child.isProven() ? ` [${child.proofStatus.toUpperCase()}]` : '';
-            console.log(`  ${child.moveDescription}: ${(child.wins / child.visits * 100).toFixed(2)}% win rate (${child.visits} visits)${proofStr}`);
+            console.log(`  ${child.moveDescription}: ${(child.winRateFor(1) * 100).toFixed(2)}% win rate (${child.visits} visits)${proofStr}`);
         }
         
         console.log("\n=== Conclusion ===");
+        // A side has the advantage when its win rate beats an even share by 5 points
+        const leader = ids.reduce((best, id) => root.winRateFor(id) > root.winRateFor(best) ? id : best);
         if (root.isProven()) {
-            if (root.isProvenWinFor(1)) {
-                console.log("PROVEN: Player 1 wins with optimal play!");
-            } else if (root.isProvenWinFor(2)) {
-                console.log("PROVEN: Player 2 wins with optimal play!");
+            const winner = root.provenWinner();
+            if (winner) {
+                console.log(`PROVEN: ${Rules.sideName(ruleset, winner)} wins with optimal play!`);
             } else {
-                console.log(`PROVEN: Player ${root.proofPlayer} loses with optimal play!`);
+                console.log("PROVEN: The game is a draw with optimal play!");
             }
-        } else if (winRate > 0.55) {
-            console.log(`Player 1 has advantage (${(winRate * 100).toFixed(2)}% win rate) - NOT YET PROVEN`);
-        } else if (winRate < 0.45) {
-            console.log(`Player 2 has advantage (${((1 - winRate) * 100).toFixed(2)}% win rate) - NOT YET PROVEN`);
+        } else if (root.winRateFor(leader) > 1 / ids.length + 0.05) {
+            console.log(`${Rules.sideName(ruleset, leader)} has advantage (${(root.winRateFor(leader) * 100).toFixed(2)}% win rate) - NOT YET PROVEN`);
         } else {
-            console.log(`Game appears balanced (${(winRate * 100).toFixed(2)}% / ${((1 - winRate) * 100).toFixed(2)}%) - NOT YET PROVEN`);
+            console.log(`Game appears balanced (${ids.map(id => `${(root.winRateFor(id) * 100).toFixed(2)}%`).join(' / ')}) - NOT YET PROVEN`);
         }
         
         return {
             winRate,
             totalSimulations: root.visits,
-            player1Wins: root.wins,
-            player2Wins: root.visits - root.wins,
+            playerWins,
+            draws: root.draws,
             bestMove: sortedChildren[0]?.moveDescription,
             isProven: root.isProven(),
             proofStatus: root.proofStatus,
@@ -779,25 +1042,15 @@ class MCTSSolver {
     }
 }
 
-// Run MCTS analysis
-function analyzeGame(iterationsPerRun = 1000000) {
+// Run MCTS analysis of a ruleset's starting position
+function analyzeGame(iterationsPerRun = 1000000, ruleset = Rules.DEFAULT_RULESET) {
     // Initial game state
     const initialState = {
-        board: Array(3).fill(null).map(() => Array(3).fill(null)),
-        players: {
-            1: { hp: 7, maxHp: 7, ap: 0, position: { row: 0, col: 1 }, stunned: false, stunnedThisTurn: false },
-            2: { hp: 7, maxHp: 7, ap: 0, position: { row: 2, col: 1 }, stunned: false, stunnedThisTurn: false }
-        },
-        currentPlayer: 1,
-        gameOver: false,
+        ...Rules.initialState(ruleset),
         turnStartAP: 0, // Track AP at start of turn to detect "do nothing" turns
         lastPosition: null // Track previous position to prevent immediate backtracking
     };
     
-    // Place players on board
-    initialState.board[0][1] = 1;
-    initialState.board[2][1] = 2;
-    
     // Run MCTS
     const solver = new MCTSSolver(iterationsPerRun);
     const results = solver.search(initialState);
@@ -806,7 +1059,7 @@ function analyzeGame(iterationsPerRun = 1000000) {
 }
 
 // Run MCTS analysis in a loop until proven
-function solveUntilProven(iterationsPerRun = 500000000, maxRuns = 1) {
+function solveUntilProven(iterationsPerRun = 500000000, maxRuns = 1, ruleset = Rules.DEFAULT_RULESET) {
     console.log("=== Starting continuous solver ===");
     console.log(`Will run ${iterationsPerRun.toLocaleString()} iterations per batch`);
     console.log(`Maximum ${maxRuns} batches (press Ctrl+C to stop early)\n`);
@@ -820,7 +1073,7 @@ function solveUntilProven(iterationsPerRun = 500000000, maxRuns = 1) {
         console.log(`\n--- Batch ${runCount} ---`);
         
         const batchStart = Date.now();
-        const results = analyzeGame(iterationsPerRun);
+        const results = analyzeGame(iterationsPerRun, ruleset);
         const batchTime = ((Date.now() - batchStart) / 1000).toFixed(1);
         
         totalIterations += results.totalSimulations;
@@ -838,10 +1091,11 @@ function solveUntilProven(iterationsPerRun = 500000000, maxRuns = 1) {
             console.log(`Total time: ${totalTime}s`);
             console.log(`Proven nodes: ${results.provenNodes}`);
             
-            if (results.proofStatus === 'proven-win' && results.proofPlayer === 1) {
-                console.log("\n✅ PROVEN: Player 1 wins with perfect play!");
-            } else if (results.proofStatus === 'proven-win' && results.proofPlayer === 2) {
-                console.log("\n✅ PROVEN: Player 2 wins with perfect play!");
+            const winner = proofWinner(results.proofStatus, results.proofPlayer);
+            if (winner) {
+                console.log(`\n✅ PROVEN: Player ${winner} wins with perfect play!`);
+            } else if (winner === 0) {
+                console.log("\n✅ PROVEN: The game is a draw with perfect play!");
             }
             
             return results;
@@ -855,14 +1109,18 @@ function solveUntilProven(iterationsPerRun = 500000000, maxRuns = 1) {
 }
 
 // Export for use in Node.js or browser
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { MCTSSolver, analyzeGame, solveUntilProven };
+if (isNode) {
+    module.exports = { MCTSSolver, SKILL_LEVELS, proofWinner, analyzeGame, solveUntilProven, CACHE_FILE, CACHE_VERSION };
+} else {
+    self.MCTS = { MCTSSolver, SKILL_LEVELS, proofWinner, CACHE_FILE, CACHE_VERSION };
 }
 
 // Auto-run if executed directly
 if (typeof window !== 'undefined') {
     console.log("MCTS Solver loaded. Call analyzeGame() or solveUntilProven() to run analysis.");
-} else if (require.main === module) {
-    // Run continuous solver by default
-    solveUntilProven();
+} else if (isNode && require.main === module) {
+    // Run continuous solver by default, on the standard rules or a ruleset file:
+    // node mcts-solver.js [ruleset.json]
+    const rulesetFile = process.argv[2];
+    solveUntilProven(undefined, undefined, rulesetFile ? Rules.parseRuleset(fs.readFileSync(rulesetFile, 'utf8')) : Rules.DEFAULT_RULESET);
 }
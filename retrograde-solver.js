@@ -0,0 +1,425 @@
+// Retrograde (endgame-table) solver for Avengement Lite
+// Enumerates every position reachable under rules.js and labels each one exactly
+// as a win, loss or draw, with the number of actions until the game ends under best play.
+// The table is built for one ruleset and for the game without its turn limit; lookup()
+// only answers for positions under that ruleset, and when the limit cannot change the result.
+
+(function (root) {
+    // In a browser or Web Worker, load rules.js and mcts-solver.js first; only lookups work there
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const fs = isNode ? require('fs') : null;
+    const path = isNode ? require('path') : null;
+    const Rules = isNode ? require('./rules') : root.Rules;
+    const { MCTSSolver, proofWinner, CACHE_FILE, CACHE_VERSION } = isNode ? require('./mcts-solver') : root.MCTS;
+    const TABLE_FILE = isNode ? path.join(__dirname, 'retrograde-table.bin') : 'retrograde-table.bin';
+    const TABLE_MAGIC = 'AVRT';
+
+    class RetrogradeSolver {
+        constructor(ruleset = Rules.DEFAULT_RULESET) {
+            this.ruleset = ruleset;
+
+            // Reuse the MCTS solver's canonical (mirror-reduced) state keys so both agree on positions
+            this.keys = new MCTSSolver();
+
+            // Graph built by enumerate(): index -> key / side to move, plus forward edges
+            this.stateKeys = [];
+            this.movers = [];
+            this.terminalWinners = new Map(); // index -> winner for finished games
+            this.edgeOffsets = null;
+            this.edges = null;
+
+            // Results, indexed like stateKeys: winner 0 = draw, otherwise the winning side
+            this.winners = null;
+            this.distances = null;
+
+            // Loaded table, sorted by key for lookup(), with the key of the ruleset it was built for
+            this.table = null;
+        }
+
+        // Walk every position reachable from the start and record its successors
+        enumerate() {
+            const index = new Map();
+            const queue = [];
+            const edges = [];
+            const offsets = [0];
+
+            const visit = state => {
+                state.turn = null; // Untimed: positions are the same whatever the turn number
+                const key = this.keys.canonicalKey(state).key;
+                let i = index.get(key);
+                if (i === undefined) {
+                    i = this.stateKeys.length;
+                    index.set(key, i);
+                    this.stateKeys.push(key);
+                    this.movers.push(Rules.sideOf(this.ruleset, state.currentPlayer));
+                    queue.push(state);
+                }
+                return i;
+            };
+
+            // Labelling works backwards from two-sided wins and losses
+            if (Rules.sideIds(this.ruleset).length !== 2) {
+                throw new Error('Endgame tables are only for games between two sides');
+            }
+
+            // Keys are stored as float64, so the ruleset's keys must be exact numbers
+            if (typeof this.keys.hashState(Rules.initialState(this.ruleset)) !== 'number') {
+                throw new Error('Ruleset is too large for an endgame table');
+            }
+
+            console.log('Enumerating reachable positions...');
+            visit(Rules.initialState(this.ruleset));
+
+            // States are numbered in discovery order, so queue[i] is state i
+            for (let i = 0; i < queue.length; i++) {
+                const state = queue[i];
+                queue[i] = null; // Free memory as we go
+
+                if (state.gameOver) {
+                    this.terminalWinners.set(i, state.winner);
+                } else {
+                    for (const action of Rules.legalActions(state)) {
+                        edges.push(visit(Rules.applyAction(state, action)));
+                    }
+                }
+                offsets.push(edges.length);
+
+                if ((i + 1) % 100000 === 0) {
+                    console.log(`  ${i + 1} expanded, ${queue.length} discovered`);
+                }
+            }
+
+            this.edgeOffsets = Int32Array.from(offsets);
+            this.edges = Int32Array.from(edges);
+            console.log(`Found ${this.stateKeys.length} positions (${this.terminalWinners.size} finished games), ${this.edges.length} moves`);
+        }
+
+        // Label every position by working backwards from finished games
+        solve() {
+            const count = this.stateKeys.length;
+
+            // Predecessor lists, built from the forward edges
+            const predOffsets = new Int32Array(count + 1);
+            for (const child of this.edges) {
+                predOffsets[child + 1]++;
+            }
+            for (let i = 0; i < count; i++) {
+                predOffsets[i + 1] += predOffsets[i];
+            }
+            const preds = new Int32Array(this.edges.length);
+            const fill = predOffsets.slice(0, count);
+            for (let parent = 0; parent < count; parent++) {
+                for (let e = this.edgeOffsets[parent]; e < this.edgeOffsets[parent + 1]; e++) {
+                    preds[fill[this.edges[e]]++] = parent;
+                }
+            }
+
+            // Moves that have not yet been shown to lose for the player to move
+            const remaining = new Int32Array(count);
+            for (let i = 0; i < count; i++) {
+                remaining[i] = this.edgeOffsets[i + 1] - this.edgeOffsets[i];
+            }
+
+            this.winners = new Uint8Array(count);
+            this.distances = new Uint16Array(count);
+            const solved = new Uint8Array(count);
+            const queue = new Int32Array(count);
+            let head = 0;
+            let tail = 0;
+
+            for (const [i, winner] of this.terminalWinners) {
+                this.winners[i] = winner;
+                solved[i] = 1;
+                queue[tail++] = i;
+            }
+
+            // Breadth-first from the end: positions are labelled in order of distance, so a win
+            // takes its shortest route and a loss is labelled only once its longest defence is known
+            while (head < tail) {
+                const child = queue[head++];
+                const winner = this.winners[child];
+                const distance = this.distances[child] + 1;
+
+                for (let p = predOffsets[child]; p < predOffsets[child + 1]; p++) {
+                    const parent = preds[p];
+                    if (solved[parent]) continue;
+
+                    if (this.movers[parent] === winner || --remaining[parent] === 0) {
+                        this.winners[parent] = winner;
+                        this.distances[parent] = distance;
+                        solved[parent] = 1;
+                        queue[tail++] = parent;
+                    }
+                }
+            }
+
+            // Anything left can be held forever by both sides
+            const wins = { 1: 0, 2: 0 };
+            for (let i = 0; i < count; i++) {
+                if (solved[i]) wins[this.winners[i]]++;
+            }
+            console.log(`Solved: ${wins[1]} Player 1 wins, ${wins[2]} Player 2 wins, ${count - tail} draws`);
+        }
+
+        // Write the solved positions as a compact binary table: magic, version, count,
+        // ruleset length, then the ruleset (JSON), keys (float64, sorted), winners (uint8), distances (uint16)
+        saveTable(file = TABLE_FILE) {
+            const count = this.stateKeys.length;
+            const order = Array.from({ length: count }, (_, i) => i).sort((a, b) => this.stateKeys[a] - this.stateKeys[b]);
+
+            const keys = new Float64Array(count);
+            const winners = new Uint8Array(count);
+            const distances = new Uint16Array(count);
+            order.forEach((i, n) => {
+                keys[n] = this.stateKeys[i];
+                winners[n] = this.winners[i];
+                distances[n] = this.distances[i];
+            });
+
+            const ruleset = Buffer.from(JSON.stringify(this.ruleset));
+            const header = Buffer.alloc(16);
+            header.write(TABLE_MAGIC, 0, 'ascii');
+            header.writeUInt32LE(CACHE_VERSION, 4);
+            header.writeUInt32LE(count, 8);
+            header.writeUInt32LE(ruleset.length, 12);
+
+            fs.writeFileSync(file, Buffer.concat([
+                header,
+                ruleset,
+                Buffer.from(keys.buffer),
+                Buffer.from(winners.buffer),
+                Buffer.from(distances.buffer)
+            ]));
+            console.log(`Table saved: ${count} positions, ${fs.statSync(file).size} bytes`);
+
+            this.table = { rulesetKey: Rules.rulesetKey(this.ruleset), keys, winners, distances };
+        }
+
+        // Load a table written by saveTable
+        loadTable(file = TABLE_FILE) {
+            try {
+                if (!fs.existsSync(file)) {
+                    return false;
+                }
+
+                const data = fs.readFileSync(file);
+                return this.loadTableData(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+            } catch (err) {
+                console.error('Error loading table:', err.message);
+            }
+            return false;
+        }
+
+        // Load a table from the raw bytes of a saved table file (also used by the browser worker).
+        // The table's own ruleset replaces the one the solver was created with.
+        loadTableData(buffer) {
+            const header = new DataView(buffer, 0, 16);
+            const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+            if (magic !== TABLE_MAGIC || header.getUint32(4, true) !== CACHE_VERSION) {
+                console.log(`Ignoring table: not a version ${CACHE_VERSION} table`);
+                return false;
+            }
+
+            const count = header.getUint32(8, true);
+            const rulesetLength = header.getUint32(12, true);
+            const rulesetBytes = new Uint8Array(buffer, 16, rulesetLength);
+            this.ruleset = Rules.createRuleset(JSON.parse(String.fromCharCode(...rulesetBytes)));
+            const keysStart = 16 + rulesetLength;
+            const winnersStart = keysStart + count * 8;
+            const distancesStart = winnersStart + count;
+
+            // Copy each section out so the typed arrays are correctly aligned
+            this.table = {
+                rulesetKey: Rules.rulesetKey(this.ruleset),
+                keys: new Float64Array(buffer.slice(keysStart, winnersStart)),
+                winners: new Uint8Array(buffer.slice(winnersStart, distancesStart)),
+                distances: new Uint16Array(buffer.slice(distancesStart, distancesStart + count * 2))
+            };
+            console.log(`Loaded table: ${count} positions`);
+            return true;
+        }
+
+        // Look up a position: { winner, distance } (winner 0 = draw), or null if it is under
+        // another ruleset, unreachable, or so close to the turn limit that the limit could decide it
+        lookup(state) {
+            const { rulesetKey, keys, winners, distances } = this.table;
+            if (Rules.rulesetKey(state.ruleset) !== rulesetKey) {
+                return null;
+            }
+
+            const key = this.keys.canonicalKey({ ...state, turn: null, turnStartAP: null, lastPosition: null }).key;
+
+            let low = 0;
+            let high = keys.length - 1;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                if (keys[mid] === key) {
+                    // A win in N actions ends at most N - 1 turns, so it holds if that many turns remain
+                    const turnsLeft = state.turn == null ? Infinity : state.ruleset.maxTurns - state.turn;
+                    if (winners[mid] !== 0 && distances[mid] - 1 > turnsLeft) {
+                        return null;
+                    }
+                    return { winner: winners[mid], distance: distances[mid] };
+                }
+                if (keys[mid] < key) {
+                    low = mid + 1;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return null;
+        }
+
+        // Perfect-play action for the side to move: the quickest win, else a draw, else the
+        // longest defence. Null if the table cannot decide every reply (e.g. near the turn limit).
+        bestAction(state) {
+            const mover = Rules.sideOf(state.ruleset, state.currentPlayer);
+            let best = null;
+            let bestScore = -Infinity;
+
+            for (const action of Rules.legalActions(state)) {
+                const child = Rules.applyAction(state, action);
+                const result = child.gameOver ? { winner: child.winner || 0, distance: 0 } : this.lookup(child);
+                if (!result) {
+                    return null;
+                }
+
+                const score = result.winner === mover ? 100000 - result.distance
+                    : (result.winner === 0 ? 0 : result.distance - 100000);
+                if (score > bestScore) {
+                    best = action;
+                    bestScore = score;
+                }
+            }
+            return best;
+        }
+
+        // Rebuild a start-of-turn state from a version 1 cache key
+        // (currentPlayer|p1hp|p1ap|p1row|p1col|p1stunned|p2hp|p2ap|p2row|p2col|p2stunned).
+        // The old solver let HP go negative, so anything at or below 0 is a finished game.
+        decodeLegacyKey(key) {
+            const [currentPlayer, ...fields] = key.split('|').map(Number);
+            const state = Rules.initialState();
+            state.currentPlayer = currentPlayer;
+            state.board = state.board.map(row => row.map(() => null));
+
+            for (const id of [1, 2]) {
+                const [hp, ap, row, col, stunned] = fields.slice((id - 1) * 5, id * 5);
+                Object.assign(state.players[id], { hp: Math.max(0, hp), ap, position: { row, col }, stunned: stunned === 1 });
+                state.board[row][col] = id;
+
+                if (hp <= 0) {
+                    state.gameOver = true;
+                    state.winner = Rules.opponentOf(id);
+                }
+            }
+            return state;
+        }
+
+        // Exact result for a cached position. Finished games are judged directly, and
+        // legacy keys cannot tell start-of-turn from mid-turn, so both are tried.
+        lookupCached(state, legacy) {
+            if (state.gameOver) {
+                return { winner: state.winner || 0, distance: 0 };
+            }
+            return this.lookup(state) || (legacy ? this.lookup({ ...state, hasActedThisTurn: true }) : null);
+        }
+
+        // Compare the exact labels with the proofs stored in the MCTS cache.
+        // MCTS proofs were found with the solver's pruning (no idle End Turn, no backtracking),
+        // so a disagreement points at either a pruning or a proof bug.
+        crossCheck(cacheFile = CACHE_FILE) {
+            if (!fs.existsSync(cacheFile)) {
+                console.log('No MCTS cache to cross-check');
+                return null;
+            }
+
+            const data = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+            const legacy = data.version === undefined;
+            if (!legacy && data.version !== CACHE_VERSION) {
+                console.log(`Skipping cross-check: cache format version ${data.version} is not ${CACHE_VERSION}`);
+                return null;
+            }
+
+            // Legacy caches hold the standard game; current ones keep a table per ruleset
+            const cached = legacy ? (Rules.isDefaultRuleset(this.ruleset) ? data : null) : data.rulesets[Rules.rulesetKey(this.ruleset)];
+            if (!cached) {
+                console.log('No MCTS proofs for this ruleset to cross-check');
+                return null;
+            }
+
+            const results = { checked: 0, agreed: 0, disagreed: 0, unknown: 0 };
+            const disagreements = [];
+
+            for (const [key, entry] of Object.entries(cached.table)) {
+                if (!entry.proofStatus) continue;
+
+                const state = legacy ? this.decodeLegacyKey(key) : this.keys.decodeKey(this.keys.parseKey(key), this.ruleset);
+                const exact = this.lookupCached(state, legacy);
+                results.checked++;
+
+                if (!exact) {
+                    results.unknown++;
+                    continue;
+                }
+
+                const expected = proofWinner(entry.proofStatus, entry.proofPlayer);
+                if (exact.winner === expected) {
+                    results.agreed++;
+                } else {
+                    results.disagreed++;
+                    disagreements.push(`  ${key}: cache says ${entry.proofStatus} for Player ${entry.proofPlayer}, ` +
+                        `table says ${exact.winner ? `Player ${exact.winner} wins in ${exact.distance}` : 'draw'}`);
+                }
+            }
+
+            console.log(`\nCross-check against ${path.basename(cacheFile)}${legacy ? ' (legacy format)' : ''}:`);
+            console.log(`  ${results.checked} proofs: ${results.agreed} agree, ${results.disagreed} disagree, ${results.unknown} not decided by the table`);
+            disagreements.slice(0, 10).forEach(line => console.log(line));
+            if (disagreements.length > 10) {
+                console.log(`  ... and ${disagreements.length - 10} more`);
+            }
+
+            return results;
+        }
+
+        // Enumerate, solve, save and report
+        run() {
+            const startTime = Date.now();
+            this.enumerate();
+            this.solve();
+            this.saveTable();
+
+            const root = this.lookup(Rules.initialState(this.ruleset));
+            console.log(`\nCompleted in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+            if (root.winner === 0) {
+                console.log('PROVEN: The game is a draw with perfect play!');
+            } else {
+                console.log(`PROVEN: Player ${root.winner} wins with perfect play in ${root.distance} actions!`);
+            }
+
+            const crossCheck = this.crossCheck();
+
+            return {
+                positions: this.stateKeys.length,
+                winner: root.winner,
+                distance: root.distance,
+                crossCheck
+            };
+        }
+    }
+
+    // Export for use in Node.js or browser
+    if (isNode) {
+        module.exports = { RetrogradeSolver, TABLE_FILE };
+    } else {
+        root.Retrograde = { RetrogradeSolver, TABLE_FILE };
+    }
+
+    // Auto-run if executed directly, on the standard rules or a ruleset file:
+    // node retrograde-solver.js [ruleset.json]
+    if (isNode && require.main === module) {
+        const rulesetFile = process.argv[2];
+        new RetrogradeSolver(rulesetFile ? Rules.parseRuleset(fs.readFileSync(rulesetFile, 'utf8')) : Rules.DEFAULT_RULESET).run();
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,876 @@
+// Rules Engine for Avengement Lite
+// DOM-free game rules shared by the browser game (game.js) and the solver (mcts-solver.js).
+// States are plain JSON objects and applyAction never mutates the state it is given.
+// Every state carries the ruleset it is played under, so anything holding a state knows its rules.
+
+(function (root) {
+    const RULESET_FORMAT = 'avengement-lite-ruleset';
+    const RULESET_VERSION = 1;
+
+    // The standard game. Rulesets are frozen and shared between states rather than copied.
+    const DEFAULT_RULESET = deepFreeze({
+        boardWidth: 3, // Columns
+        boardHeight: 3, // Rows
+        playerCount: 2, // Fighters in the game, one per player, each against all the others unless teams
+        teams: false, // Two sides instead: odd-numbered fighters against even-numbered (see sideOf)
+        friendlyFire: false, // Whether Lunging Strikes also hits adjacent teammates
+        maxHp: 7,
+        maxAp: 6,
+        strikeDamage: 2,
+        shoveCost: 1,
+        lungingCost: 3,
+        lungingCombos: 3,
+        minMove: 1, // Moves go this many to maxMove squares in a straight line
+        maxMove: 2,
+        startPositions: {
+            1: { row: 0, col: 1 }, // Player 1 at top middle
+            2: { row: 2, col: 1 }  // Player 2 at bottom middle
+        }, // Players 3 and 4 default to sideStartPosition
+        classes: { 1: 'warrior', 2: 'warrior' }, // Each player's fighter class, a key of FIGHTER_CLASSES
+        terrain: [], // Special squares, { row, col, type } with a type from TERRAIN_TYPES
+        healingAmount: 1, // HP restored to a fighter ending their turn on a healing square
+        hazardDamage: 2, // Damage to a fighter shoved onto a hazard square
+        maxTurns: 50 // The game is a draw if nobody has won after this many turns
+    });
+
+    // Allowed range of each numeric ruleset field; `atMost` names another field the value may
+    // not exceed
+    const RULESET_LIMITS = {
+        boardWidth: { min: 1, max: 8 },
+        boardHeight: { min: 1, max: 8 },
+        playerCount: { min: 2, max: 4 },
+        maxHp: { min: 1, max: 15 },
+        maxAp: { min: 1, max: 10 },
+        strikeDamage: { min: 1, max: 15 },
+        shoveCost: { min: 0, max: 10, atMost: 'maxAp' },
+        lungingCost: { min: 1, max: 10, atMost: 'maxAp' },
+        lungingCombos: { min: 1, max: 5 },
+        minMove: { min: 1, max: 7, atMost: 'maxMove' },
+        maxMove: { min: 1, max: 7 },
+        healingAmount: { min: 0, max: 15 },
+        hazardDamage: { min: 0, max: 15 },
+        maxTurns: { min: 2, max: 100 }
+    };
+
+    // Kinds of special square. Blocked squares cannot be entered, crossed or shoved into;
+    // healing squares restore HP at the end of their occupant's turn; hazards hurt a fighter
+    // shoved onto them.
+    const TERRAIN_TYPES = ['blocked', 'healing', 'hazard'];
+
+    // Fighter classes: stats relative to the ruleset's maxHp and maxAp (never below 1) and a
+    // signature ability, a key of ABILITIES. The Warrior is the standard fighter.
+    const FIGHTER_CLASSES = deepFreeze({
+        warrior: { name: 'Warrior', hpBonus: 0, apBonus: 0, ability: 'lunging' },
+        guardian: { name: 'Guardian', hpBonus: 3, apBonus: -2, ability: 'bash' },
+        ranger: { name: 'Ranger', hpBonus: -2, apBonus: 1, ability: 'shot' },
+        monk: { name: 'Monk', hpBonus: -1, apBonus: 0, ability: 'secondWind' }
+    });
+
+    // Signature abilities, keyed by the action type that uses them. Each has its AP cost under
+    // a ruleset, the squares it can target in a state (null for an untargeted use), and its
+    // effect, applied once the cost is paid. legalActions lists them like any other action,
+    // so the solvers need nothing ability-specific.
+    const ABILITIES = {
+        lunging: {
+            name: 'Lunging Strikes',
+            summary: 'then stunned',
+            cost: ruleset => ruleset.lungingCost,
+            targets: () => [null],
+            apply(state, action, events) {
+                state.lungingStrikesState = {
+                    phase: 0, // Counts combos from 0
+                    waitingForMove: false,
+                    pendingShoves: [], // Track shoves for this combo
+                    currentShoveIndex: 0
+                };
+                performLungingCombo(state, events);
+            }
+        },
+        bash: {
+            name: 'Shield Bash',
+            summary: 'stuns the target',
+            cost: () => 3,
+            targets: state => getAdjacentEnemies(state, state.players[state.currentPlayer].position, state.currentPlayer),
+            apply(state, action, events) {
+                const enemyId = state.board[action.row][action.col];
+                events.push({ type: 'bash', player: state.currentPlayer, target: enemyId, damage: state.ruleset.strikeDamage });
+                dealDamage(state, enemyId, state.ruleset.strikeDamage, events);
+                if (state.players[enemyId].hp > 0) {
+                    // Stunned through the enemy's next turn, like a finished Lunging Strikes
+                    state.players[enemyId].stunned = true;
+                    events.push({ type: 'stunned', player: enemyId });
+                }
+            }
+        },
+        shot: {
+            name: 'Long Shot',
+            summary: 'from 2 squares away',
+            cost: () => 2,
+            // Enemies exactly 2 squares away in a straight line, with no blocked square between
+            targets: state => {
+                const from = state.players[state.currentPlayer].position;
+                const side = sideOf(state.ruleset, state.currentPlayer);
+                return livingPlayers(state)
+                    .filter(id => sideOf(state.ruleset, id) !== side)
+                    .map(id => state.players[id].position)
+                    .filter(enemy => {
+                        const rowDiff = enemy.row - from.row;
+                        const colDiff = enemy.col - from.col;
+                        if (Math.max(Math.abs(rowDiff), Math.abs(colDiff)) !== 2 ||
+                            (rowDiff !== 0 && colDiff !== 0 && Math.abs(rowDiff) !== Math.abs(colDiff))) {
+                            return false;
+                        }
+                        const between = { row: from.row + rowDiff / 2, col: from.col + colDiff / 2 };
+                        return terrainAt(state.ruleset, between) !== 'blocked';
+                    });
+            },
+            apply(state, action, events) {
+                const enemyId = state.board[action.row][action.col];
+                events.push({ type: 'shot', player: state.currentPlayer, target: enemyId, damage: state.ruleset.strikeDamage });
+                dealDamage(state, enemyId, state.ruleset.strikeDamage, events);
+            }
+        },
+        secondWind: {
+            name: 'Second Wind',
+            summary: '+2 HP',
+            cost: () => 2,
+            targets: state => {
+                const player = state.players[state.currentPlayer];
+                return player.hp < player.maxHp ? [null] : [];
+            },
+            apply(state, action, events) {
+                const player = state.players[state.currentPlayer];
+                const hpGained = Math.min(2, player.maxHp - player.hp);
+                player.hp += hpGained;
+                events.push({ type: 'secondWind', player: state.currentPlayer, hpGained });
+            }
+        }
+    };
+
+    // The standard two-versus-two game: Players 1 and 3 against Players 2 and 4 on a 5x5 board
+    const TEAM_RULESET = createRuleset({
+        boardWidth: 5,
+        boardHeight: 5,
+        playerCount: 4,
+        teams: true,
+        startPositions: {
+            1: { row: 0, col: 1 },
+            2: { row: 4, col: 3 },
+            3: { row: 0, col: 3 },
+            4: { row: 4, col: 1 }
+        }
+    });
+
+    function deepFreeze(object) {
+        Object.values(object).forEach(value => {
+            if (value && typeof value === 'object') deepFreeze(value);
+        });
+        return Object.freeze(object);
+    }
+
+    // Build a checked, frozen ruleset from the given fields; missing fields take their standard
+    // values. Throws an Error naming the first field that is out of range.
+    function createRuleset(fields = {}) {
+        if (!fields || typeof fields !== 'object') {
+            throw new Error('Ruleset must be an object');
+        }
+
+        // Rulesets written before boards could be rectangular give one square boardSize
+        if (fields.boardSize !== undefined && fields.boardWidth === undefined && fields.boardHeight === undefined) {
+            const { boardSize, ...rest } = fields;
+            fields = { ...rest, boardWidth: boardSize, boardHeight: boardSize };
+        }
+
+        const ruleset = {};
+        for (const name of Object.keys(RULESET_LIMITS)) {
+            ruleset[name] = fields[name] === undefined ? DEFAULT_RULESET[name] : fields[name];
+        }
+        for (const [name, { min, max, atMost }] of Object.entries(RULESET_LIMITS)) {
+            const value = ruleset[name];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw new Error(`Ruleset ${name} must be a whole number from ${min} to ${max}`);
+            }
+            if (atMost && value > ruleset[atMost]) {
+                throw new Error(`Ruleset ${name} cannot be more than ${atMost}`);
+            }
+        }
+
+        // Team play and friendly fire are on/off switches
+        for (const name of ['teams', 'friendlyFire']) {
+            ruleset[name] = fields[name] === undefined ? DEFAULT_RULESET[name] : fields[name];
+            if (typeof ruleset[name] !== 'boolean') {
+                throw new Error(`Ruleset ${name} must be true or false`);
+            }
+        }
+        if (ruleset.teams && ruleset.playerCount !== 4) {
+            throw new Error('Ruleset teams need a playerCount of 4, two fighters a side');
+        }
+
+        const ids = playerIds(ruleset);
+        const starts = fields.startPositions || DEFAULT_RULESET.startPositions;
+        ruleset.startPositions = {};
+        for (const id of ids) {
+            const start = starts[id] || (id > 2 ? sideStartPosition(ruleset, id) : null);
+            if (!start || !Number.isInteger(start.row) || !Number.isInteger(start.col) ||
+                !isOnBoard(start, ruleset)) {
+                throw new Error(`Ruleset start position for Player ${id} must be a square on the board`);
+            }
+            ruleset.startPositions[id] = { row: start.row, col: start.col };
+        }
+        const squares = new Set(ids.map(id => `${ruleset.startPositions[id].row},${ruleset.startPositions[id].col}`));
+        if (squares.size < ids.length) {
+            throw new Error('Ruleset start positions must be different squares');
+        }
+
+        // Players without a class given play Warriors
+        const classes = fields.classes || DEFAULT_RULESET.classes;
+        ruleset.classes = {};
+        for (const id of ids) {
+            const name = classes[id] === undefined ? 'warrior' : classes[id];
+            if (!Object.prototype.hasOwnProperty.call(FIGHTER_CLASSES, name)) {
+                throw new Error(`Ruleset class for Player ${id} must be one of: ${Object.keys(FIGHTER_CLASSES).join(', ')}`);
+            }
+            ruleset.classes[id] = name;
+        }
+
+        const terrain = fields.terrain || DEFAULT_RULESET.terrain;
+        if (!Array.isArray(terrain)) {
+            throw new Error('Ruleset terrain must be a list of squares');
+        }
+        ruleset.terrain = terrain.map(square => {
+            if (!square || !TERRAIN_TYPES.includes(square.type) || !Number.isInteger(square.row) ||
+                !Number.isInteger(square.col) || !isOnBoard(square, ruleset)) {
+                throw new Error(`Ruleset terrain squares must be on the board and one of: ${TERRAIN_TYPES.join(', ')}`);
+            }
+            return { row: square.row, col: square.col, type: square.type };
+        }).sort((a, b) => a.row - b.row || a.col - b.col);
+        ruleset.terrain.forEach((square, i) => {
+            const previous = ruleset.terrain[i - 1];
+            if (previous && previous.row === square.row && previous.col === square.col) {
+                throw new Error(`Ruleset terrain lists square (${square.row}, ${square.col}) twice`);
+            }
+        });
+        for (const id of ids) {
+            if (terrainAt(ruleset, ruleset.startPositions[id]) === 'blocked') {
+                throw new Error(`Ruleset start position for Player ${id} is a blocked square`);
+            }
+        }
+
+        // Rebuild in the standard field order so equal rulesets serialize identically
+        const ordered = {};
+        for (const name of Object.keys(DEFAULT_RULESET)) {
+            ordered[name] = ruleset[name];
+        }
+        return deepFreeze(ordered);
+    }
+
+    // A string identifying a ruleset: equal for rulesets with the same rules
+    function rulesetKey(ruleset) {
+        return JSON.stringify(Object.keys(DEFAULT_RULESET).map(name => ruleset[name]));
+    }
+
+    // Is this the standard game?
+    function isDefaultRuleset(ruleset) {
+        return rulesetKey(ruleset) === rulesetKey(DEFAULT_RULESET);
+    }
+
+    // Ruleset file contents: { format, version, ruleset }
+    function formatRuleset(ruleset) {
+        return JSON.stringify({ format: RULESET_FORMAT, version: RULESET_VERSION, ruleset }, null, 2);
+    }
+
+    // Read a ruleset file written by formatRuleset; throws an Error describing any problem
+    function parseRuleset(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error('Ruleset file is not valid JSON');
+        }
+        if (!data || data.format !== RULESET_FORMAT) {
+            throw new Error('Not an Avengement Lite ruleset');
+        }
+        if (data.version !== RULESET_VERSION) {
+            throw new Error(`Unsupported ruleset version ${data.version} (expected ${RULESET_VERSION})`);
+        }
+        return createRuleset(data.ruleset);
+    }
+
+    // Ids of the players in a ruleset's games, 1 to playerCount, in turn order
+    function playerIds(ruleset) {
+        return Array.from({ length: ruleset.playerCount }, (_, i) => i + 1);
+    }
+
+    // The side a player's fighter is on. Without teams every fighter is its own side; with
+    // teams, side 1 is the odd-numbered fighters and side 2 the even-numbered ones.
+    function sideOf(ruleset, playerId) {
+        return ruleset.teams ? 2 - playerId % 2 : playerId;
+    }
+
+    // Ids of the sides taking turns in a ruleset's games, in turn order
+    function sideIds(ruleset) {
+        return ruleset.teams ? [1, 2] : playerIds(ruleset);
+    }
+
+    // How a side is named to players: 'Team 1' with teams, else 'Player 1'
+    function sideName(ruleset, side) {
+        return `${ruleset.teams ? 'Team' : 'Player'} ${side}`;
+    }
+
+    // Where Player 3 or 4 starts when a ruleset does not say: the middle of the left or right edge
+    function sideStartPosition(ruleset, playerId) {
+        return { row: Math.floor((ruleset.boardHeight - 1) / 2), col: playerId === 3 ? 0 : ruleset.boardWidth - 1 };
+    }
+
+    // A player's fighter class under a ruleset, with the max HP and AP cap it gives
+    function fighterStats(ruleset, playerId) {
+        const fighterClass = FIGHTER_CLASSES[ruleset.classes[playerId]];
+        return {
+            name: fighterClass.name,
+            maxHp: Math.max(1, ruleset.maxHp + fighterClass.hpBonus),
+            maxAp: Math.max(1, ruleset.maxAp + fighterClass.apBonus),
+            ability: fighterClass.ability
+        };
+    }
+
+    // Create a player's fighter standing at their starting square
+    function createFighter(ruleset, playerId) {
+        const { maxHp } = fighterStats(ruleset, playerId);
+        return { hp: maxHp, maxHp, ap: 0, position: { ...ruleset.startPositions[playerId] }, stunned: false, stunnedThisTurn: false };
+    }
+
+    // Create the starting position for a ruleset (the standard game by default)
+    function initialState(ruleset = DEFAULT_RULESET) {
+        const { boardWidth, boardHeight, startPositions } = ruleset;
+        const state = {
+            board: Array(boardHeight).fill(null).map(() => Array(boardWidth).fill(null)),
+            players: {}, // Keyed by player id; an eliminated fighter has 0 HP and a null position
+            currentPlayer: 1,
+            turn: 1, // Counts every player's turn, starting at 1
+            lungingStrikesState: null, // For tracking lunging strikes progress
+            pendingShove: null, // For tracking shove target after damage
+            hasActedThisTurn: false, // Track if any action taken this turn
+            hasRestedThisTurn: false, // Track if player has rested this turn
+            hasSwitchedThisTurn: false, // With teams, whether the side has chosen which fighter acts
+            gameOver: false,
+            winner: null, // Stays null if the game ends in a draw
+            ruleset
+        };
+
+        for (const id of playerIds(ruleset)) {
+            state.players[id] = createFighter(ruleset, id);
+            state.board[startPositions[id].row][startPositions[id].col] = id;
+        }
+        return state;
+    }
+
+    // Deep clone a state; the ruleset is immutable, so the clone shares it
+    function cloneState(state) {
+        const copy = JSON.parse(JSON.stringify({ ...state, ruleset: undefined }));
+        copy.ruleset = state.ruleset;
+        return copy;
+    }
+
+    // Get the other player's id in a two-player game
+    function opponentOf(playerId) {
+        return playerId === 1 ? 2 : 1;
+    }
+
+    // Ids of the players whose fighters are still on the board, in turn order
+    function livingPlayers(state) {
+        return playerIds(state.ruleset).filter(id => state.players[id].hp > 0);
+    }
+
+    // Check if a position is on the board
+    function isOnBoard(pos, ruleset) {
+        return pos.row >= 0 && pos.row < ruleset.boardHeight && pos.col >= 0 && pos.col < ruleset.boardWidth;
+    }
+
+    // Terrain type of a square, or null for a plain square
+    function terrainAt(ruleset, pos) {
+        const square = ruleset.terrain.find(t => t.row === pos.row && t.col === pos.col);
+        return square ? square.type : null;
+    }
+
+    // Check if move is valid (minMove to maxMove squares in a straight line, not onto or
+    // across a blocked square)
+    function isValidMove(from, to, ruleset) {
+        const rowDiff = Math.abs(from.row - to.row);
+        const colDiff = Math.abs(from.col - to.col);
+        const distance = Math.max(rowDiff, colDiff);
+
+        // Must be within the ruleset's move range
+        if (distance < ruleset.minMove || distance > ruleset.maxMove) {
+            return false;
+        }
+
+        // Must move in a straight line (horizontal, vertical, or diagonal)
+        if (rowDiff !== 0 && colDiff !== 0 && rowDiff !== colDiff) {
+            return false;
+        }
+
+        // Every square along the way, including the destination, must be passable
+        const rowStep = Math.sign(to.row - from.row);
+        const colStep = Math.sign(to.col - from.col);
+        for (let step = 1; step <= distance; step++) {
+            if (terrainAt(ruleset, { row: from.row + rowStep * step, col: from.col + colStep * step }) === 'blocked') {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    // Check if two positions are adjacent
+    function isAdjacent(pos1, pos2) {
+        const rowDiff = Math.abs(pos1.row - pos2.row);
+        const colDiff = Math.abs(pos1.col - pos2.col);
+        return rowDiff <= 1 && colDiff <= 1 && (rowDiff + colDiff) > 0;
+    }
+
+    // Get all adjacent positions on the board
+    function getAdjacentPositions(pos, ruleset) {
+        const adjacent = [];
+        for (let rowOffset = -1; rowOffset <= 1; rowOffset++) {
+            for (let colOffset = -1; colOffset <= 1; colOffset++) {
+                if (rowOffset === 0 && colOffset === 0) continue;
+
+                const neighbour = { row: pos.row + rowOffset, col: pos.col + colOffset };
+                if (isOnBoard(neighbour, ruleset)) {
+                    adjacent.push(neighbour);
+                }
+            }
+        }
+        return adjacent;
+    }
+
+    // Get empty squares a fighter at `from` can move to
+    function getValidMoves(state, from) {
+        const valid = [];
+        const { boardWidth, boardHeight } = state.ruleset;
+        for (let row = 0; row < boardHeight; row++) {
+            for (let col = 0; col < boardWidth; col++) {
+                if (state.board[row][col] === null && isValidMove(from, { row, col }, state.ruleset)) {
+                    valid.push({ row, col });
+                }
+            }
+        }
+        return valid;
+    }
+
+    // Get adjacent squares holding any opponent (a fighter on another side) of the given player
+    function getAdjacentEnemies(state, pos, playerId) {
+        const side = sideOf(state.ruleset, playerId);
+        return getAdjacentPositions(pos, state.ruleset).filter(p => {
+            const occupant = state.board[p.row][p.col];
+            return occupant !== null && sideOf(state.ruleset, occupant) !== side;
+        });
+    }
+
+    // Get empty, unblocked squares a shoved fighter can be pushed to
+    function getShoveDestinations(state, shove) {
+        return getAdjacentPositions({ row: shove.fromRow, col: shove.fromCol }, state.ruleset)
+            .filter(p => state.board[p.row][p.col] === null && terrainAt(state.ruleset, p) !== 'blocked');
+    }
+
+    // List every action the current player may take
+    function legalActions(state) {
+        if (state.gameOver) {
+            return [];
+        }
+
+        const player = state.players[state.currentPlayer];
+
+        // A pending shove must be resolved (or skipped) first; only AP left can pay for it
+        if (state.pendingShove) {
+            const actions = player.ap < state.ruleset.shoveCost ? [] : getShoveDestinations(state, state.pendingShove)
+                .map(pos => ({ type: 'shove', row: pos.row, col: pos.col }));
+            actions.push({ type: 'skipShove' });
+            return actions;
+        }
+
+        // Lunging Strikes waits for a reposition (or stay) after each combo
+        if (state.lungingStrikesState && state.lungingStrikesState.waitingForMove) {
+            const actions = [{ type: 'lungingMove', row: player.position.row, col: player.position.col }];
+            for (const pos of getValidMoves(state, player.position)) {
+                actions.push({ type: 'lungingMove', row: pos.row, col: pos.col });
+            }
+            return actions;
+        }
+
+        const actions = [];
+
+        // With teams, a side may hand its turn to another of its fighters before anyone acts
+        if (state.ruleset.teams && !state.hasActedThisTurn && !state.hasSwitchedThisTurn) {
+            const side = sideOf(state.ruleset, state.currentPlayer);
+            for (const id of livingPlayers(state)) {
+                if (id !== state.currentPlayer && sideOf(state.ruleset, id) === side) {
+                    const { row, col } = state.players[id].position;
+                    actions.push({ type: 'selectFighter', row, col });
+                }
+            }
+        }
+
+        // Stunned fighters can only end their turn (or, with teams, hand it to a teammate)
+        if (!player.stunned) {
+            if (!state.hasActedThisTurn) {
+                actions.push({ type: 'rest' });
+            }
+
+            if (player.ap >= 1 && !state.hasRestedThisTurn) {
+                for (const pos of getValidMoves(state, player.position)) {
+                    actions.push({ type: 'move', row: pos.row, col: pos.col });
+                }
+                for (const pos of getAdjacentEnemies(state, player.position, state.currentPlayer)) {
+                    actions.push({ type: 'strike', row: pos.row, col: pos.col });
+                }
+            }
+
+            const type = FIGHTER_CLASSES[state.ruleset.classes[state.currentPlayer]].ability;
+            const ability = ABILITIES[type];
+            if (player.ap >= ability.cost(state.ruleset) && !state.hasRestedThisTurn) {
+                for (const target of ability.targets(state)) {
+                    actions.push(target ? { type, row: target.row, col: target.col } : { type });
+                }
+            }
+        }
+
+        actions.push({ type: 'endTurn' });
+        return actions;
+    }
+
+    // Check if two actions are the same choice
+    function sameAction(a, b) {
+        return a.type === b.type && a.row === b.row && a.col === b.col;
+    }
+
+    // Check if an action is legal in the given state
+    function isLegalAction(state, action) {
+        return legalActions(state).some(legal => sameAction(legal, action));
+    }
+
+    // Human-readable action description under a ruleset
+    function describeAction(action, ruleset) {
+        switch (action.type) {
+            case 'rest': return 'Rest (+1 HP, +1 AP)';
+            case 'move': return `Move to (${action.row},${action.col})`;
+            case 'strike': return `Strike at (${action.row},${action.col})`;
+            case 'shove': return `Shove to (${action.row},${action.col})`;
+            case 'skipShove': return 'Skip shove';
+            case 'lungingMove': return `Lunge to (${action.row},${action.col})`;
+            case 'selectFighter': return `Act with the fighter at (${action.row},${action.col})`;
+            case 'endTurn': return 'End Turn';
+            default: {
+                const ability = ABILITIES[action.type];
+                if (!ability) return action.type;
+                const target = action.row === undefined ? '' : ` at (${action.row},${action.col})`;
+                return `${ability.name}${target} (${ability.cost(ruleset)} AP, ${ability.summary})`;
+            }
+        }
+    }
+
+    // Apply an action and return the resulting state.
+    // If an `events` array is given, a record of what happened is pushed onto it
+    // so the UI can log and animate the outcome.
+    function applyAction(state, action, events = []) {
+        if (!isLegalAction(state, action)) {
+            throw new Error(`Illegal action: ${describeAction(action, state.ruleset)}`);
+        }
+
+        const next = cloneState(state);
+        const player = next.players[next.currentPlayer];
+        const { strikeDamage, shoveCost, lungingCombos, hazardDamage } = next.ruleset;
+
+        switch (action.type) {
+            case 'rest': {
+                const hpGained = Math.min(1, player.maxHp - player.hp);
+                player.hp += hpGained;
+                player.ap = Math.min(fighterStats(next.ruleset, next.currentPlayer).maxAp, player.ap + 1);
+                next.hasRestedThisTurn = true;
+                next.hasActedThisTurn = true;
+                events.push({ type: 'rest', player: next.currentPlayer, hpGained });
+
+                // Rest ends the turn
+                endTurn(next, events);
+                break;
+            }
+
+            case 'selectFighter':
+                next.currentPlayer = next.board[action.row][action.col];
+                next.hasSwitchedThisTurn = true;
+                events.push({ type: 'selectFighter', player: next.currentPlayer });
+                break;
+
+            case 'move':
+                moveFighter(next, next.currentPlayer, action);
+                player.ap -= 1;
+                next.hasActedThisTurn = true;
+                events.push({ type: 'move', player: next.currentPlayer, row: action.row, col: action.col });
+                break;
+
+            case 'strike': {
+                const enemyId = next.board[action.row][action.col];
+                player.ap -= 1;
+                next.hasActedThisTurn = true;
+                events.push({ type: 'strike', player: next.currentPlayer, target: enemyId, damage: strikeDamage });
+                dealDamage(next, enemyId, strikeDamage, events);
+
+                // Strength: a hit may be followed by a shove if AP remains and the target still stands
+                if (next.players[enemyId].hp > 0 && player.ap >= shoveCost) {
+                    next.pendingShove = { target: enemyId, fromRow: action.row, fromCol: action.col };
+                }
+                break;
+            }
+
+            case 'shove': {
+                const target = next.pendingShove.target;
+                moveFighter(next, target, action);
+                player.ap -= shoveCost;
+                events.push({ type: 'shove', player: next.currentPlayer, target, row: action.row, col: action.col });
+                if (terrainAt(next.ruleset, action) === 'hazard' && hazardDamage > 0) {
+                    events.push({ type: 'hazard', player: target, damage: hazardDamage });
+                    dealDamage(next, target, hazardDamage, events);
+                }
+                finishShove(next);
+                break;
+            }
+
+            case 'skipShove':
+                events.push({ type: 'skipShove', player: next.currentPlayer });
+                finishShove(next);
+                break;
+
+            case 'lungingMove': {
+                const lunging = next.lungingStrikesState;
+                const stayed = action.row === player.position.row && action.col === player.position.col;
+                if (!stayed) {
+                    moveFighter(next, next.currentPlayer, action);
+                }
+                events.push({ type: 'lungingMove', player: next.currentPlayer, row: action.row, col: action.col, stayed });
+
+                lunging.waitingForMove = false;
+                lunging.phase++;
+
+                if (lunging.phase < lungingCombos) {
+                    performLungingCombo(next, events);
+                } else {
+                    // Lunging Strikes complete - stun player
+                    player.stunned = true;
+                    player.stunnedThisTurn = true;
+                    next.lungingStrikesState = null;
+                    events.push({ type: 'stunned', player: next.currentPlayer });
+                }
+                break;
+            }
+
+            case 'endTurn':
+                endTurn(next, events);
+                break;
+
+            default: {
+                // A signature ability: pay its cost, then apply its effect
+                const ability = ABILITIES[action.type];
+                player.ap -= ability.cost(next.ruleset);
+                next.hasActedThisTurn = true;
+                ability.apply(next, action, events);
+                break;
+            }
+        }
+
+        return next;
+    }
+
+    // Mark the current pending shove resolved and continue Lunging Strikes if active
+    function finishShove(state) {
+        state.pendingShove = null;
+        if (state.lungingStrikesState) {
+            state.lungingStrikesState.currentShoveIndex++;
+            advanceLunging(state);
+        }
+    }
+
+    // Move a fighter to a new square
+    function moveFighter(state, playerId, to) {
+        const fighter = state.players[playerId];
+        state.board[fighter.position.row][fighter.position.col] = null;
+        state.board[to.row][to.col] = playerId;
+        fighter.position = { row: to.row, col: to.col };
+    }
+
+    // Deal damage to a player. A fallen fighter leaves the board; the last side standing wins.
+    function dealDamage(state, playerId, amount, events) {
+        const target = state.players[playerId];
+        target.hp = Math.max(0, target.hp - amount);
+        events.push({ type: 'damage', player: playerId, amount, position: { ...target.position } });
+
+        if (target.hp <= 0) {
+            state.board[target.position.row][target.position.col] = null;
+            target.position = null;
+            target.stunned = false;
+            target.stunnedThisTurn = false;
+
+            const sides = new Set(livingPlayers(state).map(id => sideOf(state.ruleset, id)));
+            if (sides.size > 1) {
+                events.push({ type: 'eliminated', player: playerId });
+                return;
+            }
+            state.gameOver = true;
+            state.winner = [...sides][0];
+            state.pendingShove = null;
+            state.lungingStrikesState = null;
+            events.push({ type: 'gameOver', winner: state.winner, teams: state.ruleset.teams });
+        }
+    }
+
+    // Perform one combo of Lunging Strikes: strike damage to every adjacent enemy, and with
+    // friendly fire to every adjacent teammate too
+    function performLungingCombo(state, events) {
+        const { strikeDamage, shoveCost, lungingCombos, friendlyFire } = state.ruleset;
+        const lunging = state.lungingStrikesState;
+        const player = state.players[state.currentPlayer];
+        const hits = friendlyFire
+            ? getAdjacentPositions(player.position, state.ruleset).filter(p => state.board[p.row][p.col] !== null)
+            : getAdjacentEnemies(state, player.position, state.currentPlayer);
+
+        events.push({ type: 'lungingCombo', player: state.currentPlayer, phase: lunging.phase, combos: lungingCombos, hits });
+
+        lunging.pendingShoves = [];
+        lunging.currentShoveIndex = 0;
+
+        for (const pos of hits) {
+            const targetId = state.board[pos.row][pos.col];
+            dealDamage(state, targetId, strikeDamage, events);
+            if (state.gameOver) {
+                return;
+            }
+
+            // Track this hit for potential shove, unless it knocked the fighter out
+            if (state.players[targetId].hp > 0 && player.ap >= shoveCost) {
+                lunging.pendingShoves.push({ target: targetId, fromRow: pos.row, fromCol: pos.col });
+            }
+        }
+
+        advanceLunging(state);
+    }
+
+    // Move Lunging Strikes on to the next queued shove, or to the reposition step. A combo that
+    // hits several fighters queues a shove for each; once the earlier shoves have spent the AP,
+    // the rest are dropped.
+    function advanceLunging(state) {
+        const lunging = state.lungingStrikesState;
+        if (!lunging) {
+            return;
+        }
+
+        if (state.players[state.currentPlayer].ap < state.ruleset.shoveCost) {
+            lunging.currentShoveIndex = lunging.pendingShoves.length;
+        }
+        if (lunging.currentShoveIndex < lunging.pendingShoves.length) {
+            state.pendingShove = lunging.pendingShoves[lunging.currentShoveIndex];
+        } else {
+            lunging.waitingForMove = true;
+        }
+    }
+
+    // End the current turn
+    function endTurn(state, events) {
+        const { ruleset } = state;
+        const side = sideOf(ruleset, state.currentPlayer);
+
+        // End-of-turn effects apply to every fighter still standing on the side whose turn ends
+        for (const id of livingPlayers(state).filter(id => sideOf(ruleset, id) === side)) {
+            const player = state.players[id];
+
+            // Remove stun only if it wasn't applied this turn
+            if (player.stunned && !player.stunnedThisTurn) {
+                player.stunned = false;
+                events.push({ type: 'unstunned', player: id });
+            }
+            player.stunnedThisTurn = false;
+
+            // Ending the turn on a healing square restores HP
+            if (terrainAt(ruleset, player.position) === 'healing') {
+                const hpGained = Math.min(ruleset.healingAmount, player.maxHp - player.hp);
+                if (hpGained > 0) {
+                    player.hp += hpGained;
+                    events.push({ type: 'terrainHeal', player: id, hpGained });
+                }
+            }
+
+            // Gain 1 AP at end of turn (capped)
+            player.ap = Math.min(fighterStats(ruleset, id).maxAp, player.ap + 1);
+        }
+
+        // Pass the turn to the next side still standing, whose lowest-numbered fighter acts
+        // unless the side chooses another, and reset action flags for the new turn
+        const sides = sideIds(ruleset);
+        const living = livingPlayers(state);
+        let next = side;
+        let fighters;
+        do {
+            next = next % sides.length + 1;
+            fighters = living.filter(id => sideOf(ruleset, id) === next);
+        } while (fighters.length === 0);
+        state.currentPlayer = fighters[0];
+        state.turn++;
+        state.pendingShove = null;
+        state.hasActedThisTurn = false;
+        state.hasRestedThisTurn = false;
+        state.hasSwitchedThisTurn = false;
+
+        // Turn limit reached with more than one side standing - the game is a draw
+        if (state.turn > ruleset.maxTurns) {
+            state.gameOver = true;
+            events.push({ type: 'gameOver', winner: null, maxTurns: ruleset.maxTurns });
+            return;
+        }
+
+        events.push({ type: 'turnStarted', player: state.currentPlayer, turn: state.turn });
+    }
+
+    const Rules = {
+        RULESET_FORMAT,
+        RULESET_VERSION,
+        DEFAULT_RULESET,
+        TEAM_RULESET,
+        RULESET_LIMITS,
+        TERRAIN_TYPES,
+        FIGHTER_CLASSES,
+        ABILITIES,
+        createRuleset,
+        rulesetKey,
+        isDefaultRuleset,
+        formatRuleset,
+        parseRuleset,
+        playerIds,
+        sideOf,
+        sideIds,
+        sideName,
+        sideStartPosition,
+        fighterStats,
+        initialState,
+        cloneState,
+        legalActions,
+        isLegalAction,
+        sameAction,
+        applyAction,
+        describeAction,
+        opponentOf,
+        livingPlayers,
+        isOnBoard,
+        terrainAt,
+        isValidMove,
+        isAdjacent,
+        getAdjacentPositions,
+        getValidMoves,
+        getAdjacentEnemies,
+        getShoveDestinations
+    };
+
+    // Export for use in Node.js or browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Rules;
+    } else {
+        root.Rules = Rules;
+    }
+})(typeof self !== 'undefined' ? self : this);
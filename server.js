@@ -0,0 +1,447 @@
+// Local game server for Avengement Lite
+// Serves the game's files over HTTP (the computer opponent's Web Worker needs this) and
+// hosts online rooms over WebSockets at /ws. Each room seats one browser per side: one per
+// fighter, or with teams one per team, playing both its fighters.
+// The server keeps the authoritative game: every action is checked with rules.js (the same
+// Rules.applyAction the solver's applyMove uses) before it is relayed to every player.
+// Any game can also be broadcast by its host, and rooms and broadcasts can be watched by
+// read-only spectators (spectate.html), who are sent the full action history when they join.
+//
+// Usage: node server.js [port]   then open http://localhost:8080/
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Rules = require('./rules');
+const GameRecord = require('./game-record');
+const { acceptWebSocket } = require('./websocket');
+
+const DEFAULT_PORT = 8080;
+const ROOM_IDLE_TIMEOUT = 10 * 60 * 1000; // Forget a room this long after every player has left
+const ROOM_CODE_PATTERN = /^[A-Za-z0-9-]{1,20}$/;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.bin': 'application/octet-stream'
+};
+
+class GameServer {
+    constructor(root = __dirname) {
+        this.root = root;
+        this.rooms = new Map(); // room code -> { setup, state, actions, seats, spectators, idleTimer }
+        this.broadcasts = new Map(); // broadcast code -> { token, host, setup, actions, spectators, idleTimer }
+
+        this.server = http.createServer((request, response) => this.serveFile(request, response));
+        this.server.on('upgrade', (request, socket) => this.handleUpgrade(request, socket));
+    }
+
+    listen(port = DEFAULT_PORT) {
+        return new Promise(resolve => this.server.listen(port, () => resolve(this.server.address().port)));
+    }
+
+    close() {
+        for (const channel of [...this.rooms.values(), ...this.broadcasts.values()]) {
+            clearTimeout(channel.idleTimer);
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // Serve the game's own files; nothing outside the game directory, and only known file types
+    serveFile(request, response) {
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        } catch (err) {
+            // A malformed escape such as %E0%A4%A
+            response.writeHead(400);
+            response.end('Bad request');
+            return;
+        }
+        const file = path.join(this.root, urlPath === '/' ? 'index.html' : urlPath);
+        const type = CONTENT_TYPES[path.extname(file)];
+
+        if (!file.startsWith(this.root + path.sep) || !type) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+
+        fs.readFile(file, (err, data) => {
+            if (err) {
+                response.writeHead(404);
+                response.end('Not found');
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': type });
+            response.end(data);
+        });
+    }
+
+    handleUpgrade(request, socket) {
+        let pathname;
+        try {
+            pathname = new URL(request.url, 'http://localhost').pathname;
+        } catch (err) {
+            // An unparseable path such as //
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        if (pathname !== '/ws') {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+
+        const connection = acceptWebSocket(request, socket);
+        if (!connection) return;
+
+        // A client is a room player, a broadcast host or a spectator (watching a room or broadcast)
+        const client = { connection, room: null, player: null, hosting: null, watching: null };
+        connection.on('message', message => this.handleMessage(client, message));
+        connection.on('close', () => this.leave(client));
+    }
+
+    handleMessage(client, message) {
+        if (client.watching && !(message && message.type === 'watch')) {
+            client.connection.send({ type: 'error', message: 'Spectators cannot send actions' });
+            return;
+        }
+
+        switch (message && message.type) {
+            case 'join':
+                this.join(client, message);
+                break;
+            case 'action':
+                this.playAction(client, message.action);
+                break;
+            case 'restart':
+                this.restart(client);
+                break;
+            case 'host':
+                this.host(client, message);
+                break;
+            case 'hostSync':
+                this.hostSync(client, message);
+                break;
+            case 'watch':
+                this.watch(client, message.code);
+                break;
+            default:
+                client.connection.send({ type: 'error', message: 'Unknown message type' });
+        }
+    }
+
+    // Seat a client in a room: back in its old seat if it brings that seat's token, else any free seat.
+    // Whoever opens a room chooses its ruleset (the standard rules if none is given).
+    join(client, { room: code, token, ruleset }) {
+        if (typeof code !== 'string' || !ROOM_CODE_PATTERN.test(code)) {
+            client.connection.send({ type: 'error', message: 'Room codes are 1-20 letters, digits or dashes' });
+            return;
+        }
+        this.leave(client);
+
+        let room = this.rooms.get(code);
+        if (!room) {
+            let setup;
+            try {
+                setup = Rules.initialState(Rules.createRuleset(ruleset));
+            } catch (err) {
+                client.connection.send({ type: 'error', message: err.message });
+                return;
+            }
+            const seats = {};
+            Rules.sideIds(setup.ruleset).forEach(id => seats[id] = null);
+            room = { setup, state: setup, actions: [], seats, spectators: new Set(), idleTimer: null };
+            this.rooms.set(code, room);
+        }
+
+        const ids = this.seatIds(room);
+        let player = ids.find(id => room.seats[id] && token && room.seats[id].token === token);
+        if (!player) {
+            player = ids.find(id => !room.seats[id]);
+        }
+        if (!player) {
+            client.connection.send({ type: 'error', message: `Room ${code} is full` });
+            return;
+        }
+
+        // A reconnect replaces any stale connection still holding the seat
+        const seat = room.seats[player] || { token: crypto.randomBytes(16).toString('hex'), connection: null };
+        if (seat.connection && seat.connection !== client.connection) {
+            seat.connection.close();
+        }
+        seat.connection = client.connection;
+        room.seats[player] = seat;
+        clearTimeout(room.idleTimer);
+        Object.assign(client, { room: code, player });
+
+        client.connection.send({
+            type: 'joined',
+            room: code,
+            player,
+            token: seat.token,
+            setup: room.setup,
+            actions: room.actions,
+            opponentConnected: this.opponentsConnected(room, player)
+        });
+        this.notifyOpponents(room, player, true);
+    }
+
+    // Check an action against the rules and relay it to every player
+    playAction(client, action) {
+        const room = this.rooms.get(client.room);
+        if (!room) {
+            client.connection.send({ type: 'error', message: 'Join a room first' });
+            return;
+        }
+        if (this.seatIds(room).some(id => !room.seats[id])) {
+            client.connection.send({ type: 'error', message: this.seatIds(room).length > 2 ? 'Waiting for every player to join' : 'Waiting for an opponent to join' });
+            return;
+        }
+        if (room.state.gameOver || Rules.sideOf(room.state.ruleset, room.state.currentPlayer) !== client.player) {
+            client.connection.send({ type: 'error', message: 'It is not your turn' });
+            return;
+        }
+
+        if (!action || typeof action !== 'object' || typeof action.type !== 'string') {
+            client.connection.send({ type: 'error', message: 'Malformed action' });
+            return;
+        }
+
+        let next;
+        try {
+            next = Rules.applyAction(room.state, action);
+        } catch (err) {
+            client.connection.send({ type: 'error', message: err.message });
+            return;
+        }
+
+        const played = normalizeAction(action);
+        room.state = next;
+        room.actions.push(played);
+        this.broadcast(room, { type: 'action', index: room.actions.length - 1, action: played });
+    }
+
+    // Start a new game in the room once the current one is over
+    restart(client) {
+        const room = this.rooms.get(client.room);
+        if (!room) return;
+        if (!room.state.gameOver) {
+            client.connection.send({ type: 'error', message: 'The game is still in progress' });
+            return;
+        }
+
+        room.setup = Rules.initialState(room.setup.ruleset);
+        room.state = room.setup;
+        room.actions = [];
+        this.broadcast(room, { type: 'restart', setup: room.setup });
+    }
+
+    // Start (or, with its token, resume) broadcasting a game under a code
+    host(client, { code, token }) {
+        if (typeof code !== 'string' || !ROOM_CODE_PATTERN.test(code)) {
+            client.connection.send({ type: 'error', message: 'Broadcast codes are 1-20 letters, digits or dashes' });
+            return;
+        }
+        this.leave(client);
+
+        let channel = this.broadcasts.get(code);
+        if (channel && channel.token !== token) {
+            client.connection.send({ type: 'error', message: `Broadcast code ${code} is already in use` });
+            return;
+        }
+        if (!channel) {
+            channel = {
+                token: crypto.randomBytes(16).toString('hex'),
+                host: null,
+                setup: Rules.initialState(),
+                actions: [],
+                spectators: new Set(),
+                idleTimer: null
+            };
+            this.broadcasts.set(code, channel);
+        }
+
+        // A reconnect replaces any stale connection still hosting
+        if (channel.host && channel.host !== client.connection) {
+            channel.host.close();
+        }
+        channel.host = client.connection;
+        clearTimeout(channel.idleTimer);
+        client.hosting = code;
+
+        client.connection.send({ type: 'hosting', code, token: channel.token, spectators: channel.spectators.size });
+        this.sendToSpectators(channel, { type: 'host', connected: true });
+    }
+
+    // Take the host's whole game and pass on what changed: new actions if it only grew,
+    // otherwise (undo, restart, a loaded game) a reset to the new history
+    hostSync(client, { setup, actions }) {
+        const channel = this.broadcasts.get(client.hosting);
+        if (!channel || channel.host !== client.connection) {
+            client.connection.send({ type: 'error', message: 'Start a broadcast first' });
+            return;
+        }
+
+        let replayed;
+        try {
+            replayed = GameRecord.replayRecord({
+                format: GameRecord.RECORD_FORMAT,
+                version: GameRecord.RECORD_VERSION,
+                ruleset: setup && setup.ruleset,
+                setup,
+                actions
+            });
+        } catch (err) {
+            client.connection.send({ type: 'error', message: `Broadcast rejected: ${err.message}` });
+            return;
+        }
+
+        const played = replayed.actions.map(normalizeAction);
+        const sameSetup = JSON.stringify(replayed.states[0]) === JSON.stringify(channel.setup);
+        const extended = sameSetup && played.length >= channel.actions.length &&
+            channel.actions.every((action, i) => Rules.sameAction(action, played[i]));
+
+        if (extended) {
+            for (let index = channel.actions.length; index < played.length; index++) {
+                channel.actions.push(played[index]);
+                this.sendToSpectators(channel, { type: 'action', index, action: played[index] });
+            }
+        } else {
+            channel.setup = replayed.states[0];
+            channel.actions = played;
+            this.sendToSpectators(channel, { type: 'reset', setup: channel.setup, actions: channel.actions });
+        }
+    }
+
+    // Watch a broadcast or an online room; spectators get the whole game so far, then each action
+    watch(client, code) {
+        this.leave(client);
+
+        const channel = this.broadcasts.get(code) || this.rooms.get(code);
+        if (!channel) {
+            client.connection.send({ type: 'error', message: `No game called ${code} is being played or broadcast` });
+            return;
+        }
+
+        channel.spectators.add(client.connection);
+        client.watching = code;
+        client.connection.send({
+            type: 'watching',
+            code,
+            setup: channel.setup,
+            actions: channel.actions,
+            live: this.broadcasts.has(code) ? Boolean(channel.host) : true
+        });
+        this.sendSpectatorCount(channel);
+    }
+
+    // Free a client's connection. A player's seat (and its token) and a host's broadcast are
+    // kept so they can reconnect; rooms and broadcasts nobody is playing are forgotten later.
+    leave(client) {
+        if (client.watching) {
+            const channel = this.broadcasts.get(client.watching) || this.rooms.get(client.watching);
+            client.watching = null;
+            if (channel) {
+                channel.spectators.delete(client.connection);
+                this.sendSpectatorCount(channel);
+            }
+        }
+
+        if (client.hosting) {
+            const hosted = client.hosting;
+            const channel = this.broadcasts.get(hosted);
+            client.hosting = null;
+            if (channel && channel.host === client.connection) {
+                channel.host = null;
+                this.sendToSpectators(channel, { type: 'host', connected: false });
+                clearTimeout(channel.idleTimer);
+                channel.idleTimer = setTimeout(() => this.broadcasts.delete(hosted), ROOM_IDLE_TIMEOUT);
+            }
+        }
+
+        const room = this.rooms.get(client.room);
+        if (!room) return;
+
+        const seat = room.seats[client.player];
+        if (seat && seat.connection === client.connection) {
+            seat.connection = null;
+            this.notifyOpponents(room, client.player, false);
+        }
+
+        const code = client.room;
+        Object.assign(client, { room: null, player: null });
+        if (this.seatIds(room).every(id => !this.isConnected(room, id))) {
+            clearTimeout(room.idleTimer);
+            room.idleTimer = setTimeout(() => this.rooms.delete(code), ROOM_IDLE_TIMEOUT);
+        }
+    }
+
+    // Side ids of a room's seats
+    seatIds(room) {
+        return Object.keys(room.seats).map(Number);
+    }
+
+    isConnected(room, player) {
+        return Boolean(room.seats[player] && room.seats[player].connection);
+    }
+
+    // Is everyone but this player seated and connected?
+    opponentsConnected(room, player) {
+        return this.seatIds(room).every(id => id === player || this.isConnected(room, id));
+    }
+
+    // Tell the other players that a player connected or disconnected
+    notifyOpponents(room, player, connected) {
+        for (const id of this.seatIds(room)) {
+            if (id !== player) {
+                this.sendTo(room, id, { type: 'opponent', player, connected, opponentConnected: this.opponentsConnected(room, id) });
+            }
+        }
+    }
+
+    sendTo(room, player, message) {
+        if (this.isConnected(room, player)) {
+            room.seats[player].connection.send(message);
+        }
+    }
+
+    // Send to every player and everyone watching the room
+    broadcast(room, message) {
+        this.seatIds(room).forEach(id => this.sendTo(room, id, message));
+        this.sendToSpectators(room, message);
+    }
+
+    sendToSpectators(channel, message) {
+        for (const connection of channel.spectators) {
+            connection.send(message);
+        }
+    }
+
+    // Tell a broadcast's host how many people are watching
+    sendSpectatorCount(channel) {
+        if (channel.host) {
+            channel.host.send({ type: 'spectators', count: channel.spectators.size });
+        }
+    }
+}
+
+// Keep only an action's own fields (row and col only when it has a target)
+function normalizeAction({ type, row, col }) {
+    return row === undefined ? { type } : { type, row, col };
+}
+
+module.exports = { GameServer, DEFAULT_PORT };
+
+// Auto-run if executed directly
+if (require.main === module) {
+    const server = new GameServer();
+    server.listen(Number(process.argv[2]) || DEFAULT_PORT).then(port => {
+        console.log(`Avengement Lite server running at http://localhost:${port}/`);
+        console.log('Online rooms and broadcasts are hosted on the same port at /ws');
+        console.log(`Spectators can watch at http://localhost:${port}/spectate.html`);
+    });
+}
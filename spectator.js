@@ -0,0 +1,169 @@
+// Spectator view for Avengement Lite
+// Watches a broadcast or an online room on server.js without being able to act. On joining,
+// the server sends the whole game so far and then each action as it is played; the position
+// and the game log are rebuilt here with rules.js and event-log.js, and drawn with game-view.js,
+// so the log and the board read the same as the players' own.
+
+const SPECTATE_RECONNECT_DELAY = 2000; // ms before trying to reconnect a dropped connection
+
+// The game being watched: its starting position, the actions played and the current position
+const spectator = {
+    code: null,
+    socket: null,
+    actions: [],
+    state: Rules.initialState()
+};
+
+// Initialize the page, watching the game in the URL (spectate.html?code=...) if there is one
+function initSpectator() {
+    createBoard();
+    render();
+    document.getElementById('watch-btn').addEventListener('click', () => watch(document.getElementById('watch-code').value.trim()));
+
+    const code = new URLSearchParams(location.search).get('code');
+    if (code) {
+        document.getElementById('watch-code').value = code;
+        watch(code);
+    }
+}
+
+// Create the board for the watched game's ruleset; its squares are display only
+function createBoard() {
+    GameView.createBoard(spectator.state.ruleset);
+}
+
+// Start watching a game by its broadcast or room code
+function watch(code) {
+    if (!/^[A-Za-z0-9-]{1,20}$/.test(code)) {
+        setStatus('Codes are 1-20 letters, digits or dashes');
+        return;
+    }
+
+    const socket = spectator.socket;
+    spectator.socket = null;
+    if (socket) {
+        socket.close();
+    }
+    spectator.code = code;
+    history.replaceState(null, '', `?code=${encodeURIComponent(code)}`);
+    setStatus(`Connecting to ${code}...`);
+    connect();
+}
+
+// Open the connection to server.js, reconnecting after a drop
+function connect() {
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${location.host}/ws`);
+    spectator.socket = socket;
+
+    socket.onopen = () => socket.send(JSON.stringify({ type: 'watch', code: spectator.code }));
+    socket.onmessage = event => handleMessage(JSON.parse(event.data));
+    socket.onclose = () => {
+        if (spectator.socket !== socket) return;
+        spectator.socket = null;
+
+        setStatus('Disconnected - reconnecting...');
+        setTimeout(() => {
+            if (!spectator.socket) connect();
+        }, SPECTATE_RECONNECT_DELAY);
+    };
+}
+
+// Apply a message from the server
+function handleMessage(message) {
+    switch (message.type) {
+        case 'watching':
+            showGame(message.setup, message.actions);
+            setStatus(message.live ? `Watching ${message.code} live` : `Watching ${message.code} - waiting for the host`);
+            break;
+        case 'action':
+            // Out of step (e.g. a message was missed): watch again to get the full game
+            if (message.index !== spectator.actions.length) {
+                spectator.socket.send(JSON.stringify({ type: 'watch', code: spectator.code }));
+                return;
+            }
+            playAction(message.action);
+            break;
+        case 'reset':
+            showGame(message.setup, message.actions);
+            break;
+        case 'restart':
+            showGame(message.setup, []);
+            break;
+        case 'host':
+            setStatus(message.connected ? `Watching ${spectator.code} live` : `Watching ${spectator.code} - the host disconnected`);
+            break;
+        case 'error':
+            setStatus(message.message);
+            break;
+    }
+}
+
+// Rebuild the position and the log from the start of a game
+function showGame(setup, actions) {
+    spectator.state = Rules.cloneState(setup);
+    spectator.actions = [];
+    document.getElementById('log-content').innerHTML = '';
+    GameView.logMessage(`Watching game ${spectator.code}. Player ${spectator.state.currentPlayer} begins.`, 'action');
+    // Catching up is not read out move by move, only where the game now stands
+    actions.forEach(action => playAction(action, false));
+    render();
+    const { gameOver, currentPlayer } = spectator.state;
+    GameView.announce(gameOver ? document.getElementById('current-turn').textContent : `Now watching: Player ${currentPlayer} to move`);
+}
+
+// Play one action on the watched position and log what happened, announcing it unless asked not to
+function playAction(action, announced = true) {
+    const events = [];
+    spectator.state = Rules.applyAction(spectator.state, action, events);
+    spectator.actions.push(action);
+    events.forEach(event => {
+        EventLog.describeEvent(event).forEach(entry => GameView.logMessage(entry.text, entry.type, announced));
+        if (announced && event.type === 'damage') {
+            GameView.announce(`Player ${event.player} has ${spectator.state.players[event.player].hp} HP left`);
+        }
+    });
+    render();
+}
+
+// Show the watched position: board, HP/AP and stuns, and whose turn it is
+function render() {
+    const { board, players, currentPlayer, turn, gameOver, winner, ruleset } = spectator.state;
+
+    if (document.getElementById('board').dataset.size !== `${ruleset.boardWidth}x${ruleset.boardHeight}`) {
+        createBoard();
+    }
+
+    document.querySelectorAll('.cell').forEach(cell => {
+        const position = { row: parseInt(cell.dataset.row), col: parseInt(cell.dataset.col) };
+        const player = board[position.row][position.col];
+        const terrain = Rules.terrainAt(ruleset, position);
+        cell.className = player ? `cell player${player}` : 'cell';
+        if (terrain) {
+            cell.classList.add(`terrain-${terrain}`);
+        }
+        cell.textContent = player ? (players[player].stunned ? '💫' : '⚔️') : '';
+        if (ruleset.teams) {
+            cell.classList.toggle('acting', !gameOver && player === currentPlayer);
+        }
+        cell.setAttribute('aria-label', GameView.describeCell(spectator.state, position));
+    });
+
+    GameView.updatePlayerPanels(spectator.state);
+
+    const side = Rules.sideOf(ruleset, currentPlayer);
+    let turnText = ruleset.teams ? `Team ${side}'s Turn (Player ${currentPlayer})` : `Player ${currentPlayer}'s Turn`;
+    if (gameOver) {
+        turnText = winner === null ? 'Draw!' : `${Rules.sideName(ruleset, winner)} Wins!`;
+    }
+    document.getElementById('current-turn').textContent = turnText;
+    document.getElementById('turn-counter').textContent = `Turn ${Math.min(turn, ruleset.maxTurns)} of ${ruleset.maxTurns}`;
+}
+
+// Describe the connection next to the code input
+function setStatus(text) {
+    document.getElementById('watch-status').textContent = text;
+}
+
+// Initialize the spectator view when the page loads
+window.addEventListener('DOMContentLoaded', initSpectator);
@@ -0,0 +1,114 @@
+// Game record tests for Avengement Lite: run with `node --test`
+const test = require('node:test');
+const assert = require('node:assert');
+const Rules = require('../rules');
+const GameRecord = require('../game-record');
+
+const ACTIONS = [{ type: 'rest' }, { type: 'rest' }, { type: 'move', row: 1, col: 1 }];
+
+// A record of the standard game with a few actions played, as JSON-safe data
+function sampleRecord() {
+    return JSON.parse(JSON.stringify(GameRecord.createRecord(Rules.initialState(), ACTIONS)));
+}
+
+test('a record replays to the same positions as playing its actions', () => {
+    const { actions, states } = GameRecord.parseRecord(JSON.stringify(sampleRecord()));
+    let state = Rules.initialState();
+    assert.deepStrictEqual(states[0], state);
+    ACTIONS.forEach((action, i) => {
+        state = Rules.applyAction(state, action);
+        assert.ok(Rules.sameAction(actions[i], action));
+        assert.deepStrictEqual(states[i + 1], state);
+    });
+});
+
+test('a record notes who played each action and how a finished game ended', () => {
+    const ruleset = Rules.createRuleset({ maxTurns: 2 });
+    const setup = { ...Rules.initialState(ruleset), turnStartAP: 0, lastPosition: null };
+    const record = GameRecord.createRecord(setup, [{ type: 'rest', extra: 1 }, { type: 'endTurn' }]);
+    assert.deepStrictEqual(record.actions, [{ player: 1, turn: 1, type: 'rest' }, { player: 2, turn: 2, type: 'endTurn' }]);
+    assert.deepStrictEqual(record.result, { winner: null, turn: 3 });
+    assert.ok(!('turnStartAP' in record.setup) && !('lastPosition' in record.setup));
+    assert.strictEqual(sampleRecord().result, null);
+});
+
+test('a record keeps its custom ruleset', () => {
+    const ruleset = Rules.createRuleset({ boardWidth: 4, boardHeight: 5, maxHp: 9 });
+    const record = GameRecord.createRecord(Rules.initialState(ruleset), [{ type: 'rest' }]);
+    const { states } = GameRecord.replayRecord(JSON.parse(JSON.stringify(record)));
+    assert.deepStrictEqual(states[0].ruleset, ruleset);
+    assert.strictEqual(states[1].currentPlayer, 2);
+});
+
+test('a version 1 record replays under the standard rules', () => {
+    const { ruleset, ...setup } = Rules.initialState();
+    delete setup.hasSwitchedThisTurn; // Version 1 records predate team games
+    const record = {
+        format: GameRecord.RECORD_FORMAT,
+        version: 1,
+        ruleset: { boardSize: 3, maxHp: 7, maxAp: 6, strikeDamage: 2, shoveCost: 1, lungingCost: 3, lungingCombos: 3, maxTurns: 50 },
+        setup,
+        actions: [{ type: 'rest' }],
+        result: null
+    };
+    const { states } = GameRecord.replayRecord(record);
+    assert.strictEqual(states.length, 2);
+    assert.deepStrictEqual(states[0].ruleset, Rules.DEFAULT_RULESET);
+});
+
+test('records that are not games are rejected with a clear message', () => {
+    const cases = [
+        [null, /Not an Avengement Lite game record/],
+        [{ ...sampleRecord(), version: 3 }, /Unsupported record version 3/],
+        [{ ...sampleRecord(), ruleset: { maxHp: 99 } }, /Record has invalid rules/],
+        [{ ...sampleRecord(), actions: null }, /missing its setup or actions/],
+        [{ ...sampleRecord(), setup: null }, /missing its setup or actions/],
+        [{ ...sampleRecord(), actions: [null] }, /not an object/],
+        [{ ...sampleRecord(), actions: [{ type: 'strike', row: 0, col: 0 }] }, /Action 1 cannot be replayed/]
+    ];
+    for (const [record, message] of cases) {
+        assert.throws(() => GameRecord.replayRecord(record), message);
+    }
+    assert.throws(() => GameRecord.parseRecord('{'), /not valid JSON/);
+});
+
+test('a record setup must be the starting position of its rules', () => {
+    const tampered = [
+        setup => setup.players[1].hp = 99,
+        setup => setup.board[1][1] = 1,
+        setup => setup.currentPlayer = 2,
+        setup => setup.turn = 7,
+        setup => { for (const key of Object.keys(setup)) delete setup[key]; setup.foo = 1; }
+    ];
+    for (const tamper of tampered) {
+        const record = sampleRecord();
+        tamper(record.setup);
+        assert.throws(() => GameRecord.replayRecord(record), /not the starting position/);
+    }
+});
+
+test('a saved game replays its record and keeps its opponent', () => {
+    const save = { record: sampleRecord(), opponent: 2, savedAt: new Date().toISOString() };
+    assert.strictEqual(GameRecord.replaySave(save).actions.length, ACTIONS.length);
+    assert.strictEqual(GameRecord.replaySave({ ...save, opponent: null }).states.length, ACTIONS.length + 1);
+});
+
+test('a corrupt saved game is rejected instead of loaded', () => {
+    const savedAt = new Date().toISOString();
+    const tamperedSetup = sampleRecord();
+    tamperedSetup.setup.players[1].hp = 99;
+    const cases = [
+        [null, /not an object/],
+        ['{"record":', /not an object/],
+        [{ record: sampleRecord() }, /no valid save time/],
+        [{ record: sampleRecord(), savedAt: 'yesterday' }, /no valid save time/],
+        [{ savedAt }, /Not an Avengement Lite game record/],
+        [{ record: { ...sampleRecord(), actions: 'rest' }, savedAt }, /missing its setup or actions/],
+        [{ record: tamperedSetup, savedAt }, /not the starting position/],
+        [{ record: sampleRecord(), opponent: 3, savedAt }, /unknown computer opponent/],
+        [{ record: sampleRecord(), opponent: '2', savedAt }, /unknown computer opponent/]
+    ];
+    for (const [save, message] of cases) {
+        assert.throws(() => GameRecord.replaySave(save), message);
+    }
+});
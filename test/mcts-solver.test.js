@@ -0,0 +1,142 @@
+// Solver tests for Avengement Lite: run with `node --test`
+const test = require('node:test');
+const assert = require('node:assert');
+const Rules = require('../rules');
+const { MCTSSolver, proofWinner } = require('../mcts-solver');
+
+// Player 1 next to Player 2 in the middle of the board, with some AP
+function adjacentState(ap) {
+    const ruleset = Rules.createRuleset({ startPositions: { 1: { row: 0, col: 1 }, 2: { row: 1, col: 1 } } });
+    const state = Rules.initialState(ruleset);
+    state.players[1].ap = ap;
+    return state;
+}
+
+test('the solver branches on every shove after a strike', () => {
+    const solver = new MCTSSolver(0, Math.sqrt(2), 1);
+    const struck = solver.applyMove(adjacentState(3), { type: 'strike', row: 1, col: 1 });
+    const moves = solver.getPossibleMoves(struck);
+    assert.deepStrictEqual(moves.map(move => move.type), [...Array(7).fill('shove'), 'skipShove']);
+    assert.ok(moves.every(move => Rules.isLegalAction(struck, move)));
+});
+
+test('the solver branches on every step of Lunging Strikes', () => {
+    const solver = new MCTSSolver(0, Math.sqrt(2), 1);
+    let state = solver.applyMove(adjacentState(6), { type: 'lunging' });
+    assert.deepStrictEqual(solver.getPossibleMoves(state).map(move => move.type).slice(-1), ['skipShove']);
+    state = solver.applyMove(state, { type: 'skipShove' });
+    const moves = solver.getPossibleMoves(state);
+    assert.ok(moves.length > 1 && moves.every(move => move.type === 'lungingMove'));
+    assert.strictEqual(state.currentPlayer, 1);
+});
+
+// The states of a game played with the solver's own moves, chosen by a simple seeded sequence
+function playout(ruleset, length) {
+    const solver = new MCTSSolver(0, Math.sqrt(2), 1);
+    const states = [Rules.initialState(ruleset)];
+    for (let i = 0; i < length && !states[states.length - 1].gameOver; i++) {
+        const state = states[states.length - 1];
+        const moves = solver.getPossibleMoves(state);
+        states.push(solver.applyMove(state, moves[(i * 7 + 3) % moves.length]));
+    }
+    return states;
+}
+
+test('a state key decodes back to a state with the same key and position', () => {
+    const solver = new MCTSSolver();
+    for (const ruleset of [Rules.DEFAULT_RULESET, Rules.createRuleset({ boardWidth: 8, boardHeight: 8, playerCount: 4 })]) {
+        for (const state of playout(ruleset, 200)) {
+            const key = solver.hashState(state);
+            const decoded = solver.decodeKey(key, ruleset);
+            assert.strictEqual(solver.hashState(decoded), key);
+            assert.deepStrictEqual(decoded.board, state.board);
+            assert.deepStrictEqual(decoded.players, state.players);
+            assert.strictEqual(decoded.currentPlayer, state.currentPlayer);
+        }
+    }
+    assert.strictEqual(typeof solver.hashState(Rules.initialState()), 'number');
+    assert.match(solver.hashState(Rules.initialState(Rules.createRuleset({ boardWidth: 8, boardHeight: 8, playerCount: 4 }))), /^\d+n$/);
+});
+
+// The states through one Lunging Strikes, skipping each shove and staying put
+function playoutLunging() {
+    const states = [Rules.applyAction(adjacentState(6), { type: 'lunging' })];
+    while (states[states.length - 1].lungingStrikesState) {
+        const state = states[states.length - 1];
+        states.push(Rules.applyAction(state, state.pendingShove ? { type: 'skipShove' } : Rules.legalActions(state)[0]));
+    }
+    return states;
+}
+
+test('states that allow different actions have different keys', () => {
+    const solver = new MCTSSolver();
+    const state = adjacentState(6);
+    const variants = [
+        s => s.hasActedThisTurn = true,
+        s => s.hasRestedThisTurn = true,
+        s => s.players[1].stunned = true,
+        s => s.players[1].stunnedThisTurn = true,
+        s => s.pendingShove = { target: 2, fromRow: 1, fromCol: 1 },
+        s => s.turn = 2,
+        s => s.turnStartAP = 6,
+        s => s.lastPosition = { row: 0, col: 0 }
+    ];
+    const keys = new Set([solver.hashState(state)]);
+    for (const change of variants) {
+        const variant = Rules.cloneState(state);
+        change(variant);
+        keys.add(solver.hashState(variant));
+    }
+    assert.strictEqual(keys.size, variants.length + 1);
+
+    // Mid-Lunging states differ by combo and by step
+    const lunging = playoutLunging();
+    assert.strictEqual(new Set(lunging.map(s => solver.hashState(s))).size, lunging.length);
+});
+
+// A new game under a ruleset after Player 1 moves to a square
+function afterMove(ruleset, row, col) {
+    const state = Rules.initialState(ruleset);
+    state.players[1].ap = 1;
+    return Rules.applyAction(state, { type: 'move', row, col });
+}
+
+test('mirror-image positions share a key and a cached best move maps back to either', () => {
+    const solver = new MCTSSolver();
+    const left = afterMove(Rules.DEFAULT_RULESET, 1, 0);
+    const right = afterMove(Rules.DEFAULT_RULESET, 1, 2);
+    const leftKey = solver.canonicalKey(left);
+    const rightKey = solver.canonicalKey(right);
+    assert.strictEqual(leftKey.key, rightKey.key);
+    assert.notStrictEqual(leftKey.mirrored, rightKey.mirrored);
+    assert.notStrictEqual(solver.hashState(left), solver.hashState(right));
+
+    solver.cacheProof({ state: left, proofStatus: 'proven-win', proofPlayer: 1 }, { type: 'move', row: 2, col: 0 });
+    assert.strictEqual(solver.cacheSize(), 1);
+    assert.deepStrictEqual(solver.getCachedProof(left).bestMove, { type: 'move', row: 2, col: 0 });
+    assert.deepStrictEqual(solver.getCachedProof(right).bestMove, { type: 'move', row: 2, col: 2 });
+    assert.strictEqual(solver.getCachedProof(right).proofStatus, 'proven-win');
+});
+
+test('a board whose terrain is not mirror-symmetric does not share mirrored positions', () => {
+    const solver = new MCTSSolver();
+    const lopsided = Rules.createRuleset({ terrain: [{ row: 2, col: 0, type: 'hazard' }] });
+    const balanced = Rules.createRuleset({ terrain: [{ row: 2, col: 0, type: 'hazard' }, { row: 2, col: 2, type: 'hazard' }] });
+    assert.ok(!solver.isMirrorSymmetric(lopsided));
+    assert.ok(solver.isMirrorSymmetric(balanced));
+    assert.notStrictEqual(solver.canonicalKey(afterMove(lopsided, 1, 0)).key, solver.canonicalKey(afterMove(lopsided, 1, 2)).key);
+    assert.strictEqual(solver.canonicalKey(afterMove(balanced, 1, 0)).key, solver.canonicalKey(afterMove(balanced, 1, 2)).key);
+});
+
+test('proofs name a winner, or 0 for a draw', () => {
+    assert.strictEqual(proofWinner('proven-win', 2), 2);
+    assert.strictEqual(proofWinner('proven-loss', 2), 1);
+    assert.strictEqual(proofWinner('proven-draw', null), 0);
+    assert.strictEqual(proofWinner(null, null), null);
+});
+
+test('a game too short for anyone to win is proven a draw', () => {
+    const solver = new MCTSSolver(0, Math.sqrt(2), 1);
+    const { proof } = solver.evaluatePosition(Rules.initialState(Rules.createRuleset({ maxTurns: 2 })), 5000);
+    assert.deepStrictEqual(proof, { proofStatus: 'proven-draw', proofPlayer: null });
+});
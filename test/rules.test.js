@@ -0,0 +1,424 @@
+// Rules engine tests for Avengement Lite: run with `node --test`
+const test = require('node:test');
+const assert = require('node:assert');
+const Rules = require('../rules');
+
+// Player 1 between Players 2 and 3, so one Lunging Strikes combo hits both
+function crowdedState(ap) {
+    const ruleset = Rules.createRuleset({
+        playerCount: 3,
+        startPositions: { 1: { row: 1, col: 1 }, 2: { row: 0, col: 1 }, 3: { row: 2, col: 1 } }
+    });
+    const state = Rules.initialState(ruleset);
+    state.players[1].ap = ap;
+    return state;
+}
+
+test('a multi-hit Lunging Strikes combo only offers the shoves the AP left can pay for', () => {
+    let state = Rules.applyAction(crowdedState(4), { type: 'lunging' });
+    assert.strictEqual(state.players[1].ap, 1);
+    assert.strictEqual(state.lungingStrikesState.pendingShoves.length, 2);
+    assert.ok(Rules.legalActions(state).some(action => action.type === 'shove'));
+
+    // The first shove spends the last AP, so the second is dropped
+    state = Rules.applyAction(state, { type: 'shove', row: 0, col: 0 });
+    assert.strictEqual(state.players[1].ap, 0);
+    assert.strictEqual(state.pendingShove, null);
+    assert.ok(state.lungingStrikesState.waitingForMove);
+    assert.ok(Rules.legalActions(state).every(action => action.type === 'lungingMove'));
+});
+
+test('a pending shove without the AP to pay for it can only be skipped', () => {
+    const state = Rules.applyAction(crowdedState(4), { type: 'lunging' });
+    state.players[1].ap = 0;
+    assert.deepStrictEqual(Rules.legalActions(state), [{ type: 'skipShove' }]);
+    assert.throws(() => Rules.applyAction(state, { type: 'shove', row: 0, col: 0 }), /Illegal action/);
+});
+
+test('applyAction returns a new state and leaves the one it was given alone', () => {
+    const state = Rules.initialState();
+    const before = JSON.parse(JSON.stringify(state));
+    const next = Rules.applyAction(state, { type: 'rest' });
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(state)), before);
+    assert.notStrictEqual(next, state);
+    assert.strictEqual(next.ruleset, state.ruleset);
+});
+
+test('actions that are not legal are refused', () => {
+    const state = Rules.initialState();
+    for (const action of [{ type: 'move', row: 2, col: 1 }, { type: 'strike', row: 2, col: 1 }, { type: 'shove', row: 0, col: 0 }, { type: 'fly' }]) {
+        assert.ok(!Rules.isLegalAction(state, action));
+        assert.throws(() => Rules.applyAction(state, action), /Illegal action/);
+    }
+});
+
+test('resting gains 1 HP and 1 AP and ends the turn', () => {
+    const state = Rules.initialState();
+    state.players[1].hp = 5;
+    const events = [];
+    const next = Rules.applyAction(state, { type: 'rest' }, events);
+    assert.strictEqual(next.players[1].hp, 6);
+    assert.strictEqual(next.players[1].ap, 2); // 1 for resting, 1 for ending the turn
+    assert.strictEqual(next.currentPlayer, 2);
+    assert.strictEqual(next.turn, 2);
+    assert.deepStrictEqual(events.map(event => event.type), ['rest', 'turnStarted']);
+});
+
+test('moves go 1 or 2 squares in a straight line for 1 AP', () => {
+    const state = Rules.initialState();
+    assert.deepStrictEqual(Rules.legalActions(state), [{ type: 'rest' }, { type: 'endTurn' }]);
+    state.players[1].ap = 2;
+    const moves = Rules.legalActions(state).filter(action => action.type === 'move');
+    assert.deepStrictEqual(moves, [
+        { type: 'move', row: 0, col: 0 },
+        { type: 'move', row: 0, col: 2 },
+        { type: 'move', row: 1, col: 0 },
+        { type: 'move', row: 1, col: 1 },
+        { type: 'move', row: 1, col: 2 }
+    ]);
+    const next = Rules.applyAction(state, { type: 'move', row: 1, col: 1 });
+    assert.strictEqual(next.players[1].ap, 1);
+    assert.deepStrictEqual(next.players[1].position, { row: 1, col: 1 });
+    assert.strictEqual(next.board[0][1], null);
+    assert.strictEqual(next.board[1][1], 1);
+    assert.strictEqual(next.currentPlayer, 1);
+});
+
+// Player 1 next to Player 2 in the middle of the board, with some AP
+function adjacentState(ap) {
+    const ruleset = Rules.createRuleset({ startPositions: { 1: { row: 0, col: 1 }, 2: { row: 1, col: 1 } } });
+    const state = Rules.initialState(ruleset);
+    state.players[1].ap = ap;
+    return state;
+}
+
+test('a strike that leaves AP for a shove must shove the target or skip it', () => {
+    const struck = Rules.applyAction(adjacentState(3), { type: 'strike', row: 1, col: 1 });
+    assert.strictEqual(struck.players[2].hp, 5);
+    assert.strictEqual(struck.players[1].ap, 2);
+    assert.deepStrictEqual(struck.pendingShove, { target: 2, fromRow: 1, fromCol: 1 });
+
+    // Any empty square next to the target, but not the striker's own
+    const shoves = Rules.legalActions(struck).filter(action => action.type === 'shove');
+    assert.strictEqual(shoves.length, 7);
+    assert.ok(!shoves.some(action => action.row === 0 && action.col === 1));
+    assert.deepStrictEqual(Rules.legalActions(struck).slice(-1), [{ type: 'skipShove' }]);
+
+    const shoved = Rules.applyAction(struck, { type: 'shove', row: 2, col: 2 });
+    assert.strictEqual(shoved.players[1].ap, 1);
+    assert.deepStrictEqual(shoved.players[2].position, { row: 2, col: 2 });
+    assert.strictEqual(shoved.board[1][1], null);
+    assert.strictEqual(shoved.pendingShove, null);
+
+    const skipped = Rules.applyAction(struck, { type: 'skipShove' });
+    assert.strictEqual(skipped.players[1].ap, 2);
+    assert.deepStrictEqual(skipped.players[2].position, { row: 1, col: 1 });
+    assert.strictEqual(skipped.pendingShove, null);
+});
+
+test('a strike with no AP left for a shove does not offer one', () => {
+    const struck = Rules.applyAction(adjacentState(1), { type: 'strike', row: 1, col: 1 });
+    assert.strictEqual(struck.players[1].ap, 0);
+    assert.strictEqual(struck.pendingShove, null);
+});
+
+test('Lunging Strikes runs its combos, each followed by a shove and a reposition, then stuns', () => {
+    let state = Rules.applyAction(adjacentState(6), { type: 'lunging' });
+    assert.strictEqual(state.players[1].ap, 3);
+    for (let combo = 0; combo < 3; combo++) {
+        assert.strictEqual(state.lungingStrikesState.phase, combo);
+        assert.strictEqual(state.players[2].hp, 5 - 2 * combo);
+        assert.deepStrictEqual(state.pendingShove, { target: 2, fromRow: 1, fromCol: 1 });
+        state = Rules.applyAction(state, { type: 'skipShove' });
+
+        // Staying put is always offered, first
+        const moves = Rules.legalActions(state);
+        assert.ok(moves.every(action => action.type === 'lungingMove'));
+        assert.deepStrictEqual(moves[0], { type: 'lungingMove', row: 0, col: 1 });
+        state = Rules.applyAction(state, moves[0]);
+    }
+    assert.strictEqual(state.players[2].hp, 1);
+    assert.strictEqual(state.lungingStrikesState, null);
+    assert.ok(state.players[1].stunned);
+
+    // Stunned through the player's next turn, which they can only end
+    state = Rules.applyAction(state, { type: 'endTurn' });
+    state = Rules.applyAction(state, { type: 'endTurn' });
+    assert.strictEqual(state.currentPlayer, 1);
+    assert.deepStrictEqual(Rules.legalActions(state), [{ type: 'endTurn' }]);
+    state = Rules.applyAction(state, { type: 'endTurn' });
+    assert.ok(!state.players[1].stunned);
+});
+
+test('a Lunging Strikes reposition moves the fighter before the next combo', () => {
+    let state = Rules.applyAction(adjacentState(6), { type: 'lunging' });
+    state = Rules.applyAction(state, { type: 'skipShove' });
+    state = Rules.applyAction(state, { type: 'lungingMove', row: 0, col: 0 });
+    assert.deepStrictEqual(state.players[1].position, { row: 0, col: 0 });
+    assert.strictEqual(state.players[2].hp, 3); // Still adjacent, so the second combo hit
+    assert.strictEqual(state.lungingStrikesState.phase, 1);
+});
+
+test('a game nobody has won by the turn limit ends in a draw', () => {
+    let state = Rules.initialState(Rules.createRuleset({ maxTurns: 2 }));
+    state = Rules.applyAction(state, { type: 'rest' });
+    assert.ok(!state.gameOver);
+    const events = [];
+    state = Rules.applyAction(state, { type: 'rest' }, events);
+    assert.ok(state.gameOver);
+    assert.strictEqual(state.winner, null);
+    assert.deepStrictEqual(events.slice(-1), [{ type: 'gameOver', winner: null, maxTurns: 2 }]);
+    assert.deepStrictEqual(Rules.legalActions(state), []);
+});
+
+test('a ruleset fills in the standard rules and refuses values out of range', () => {
+    assert.ok(Rules.isDefaultRuleset(Rules.createRuleset()));
+    assert.ok(Object.isFrozen(Rules.createRuleset({ maxHp: 9 }).startPositions));
+    const cases = [
+        [{ maxHp: 0 }, /maxHp must be a whole number from 1 to 15/],
+        [{ strikeDamage: 1.5 }, /strikeDamage must be a whole number/],
+        [{ maxAp: 2, lungingCost: 3 }, /lungingCost cannot be more than maxAp/],
+        [{ minMove: 3 }, /minMove cannot be more than maxMove/],
+        [{ teams: 'yes' }, /teams must be true or false/],
+        [{ startPositions: { 1: { row: 0, col: 1 }, 2: { row: 0, col: 1 } } }, /must be different squares/],
+        [{ startPositions: { 1: { row: 0, col: 1 }, 2: { row: 3, col: 1 } } }, /Player 2 must be a square on the board/],
+        [null, /must be an object/]
+    ];
+    for (const [fields, message] of cases) {
+        assert.throws(() => Rules.createRuleset(fields), message);
+    }
+});
+
+test('rulesets with the same rules have the same key and survive a ruleset file', () => {
+    const ruleset = Rules.createRuleset({ strikeDamage: 3, maxTurns: 20 });
+    assert.strictEqual(Rules.rulesetKey(ruleset), Rules.rulesetKey(Rules.createRuleset({ maxTurns: 20, strikeDamage: 3 })));
+    assert.notStrictEqual(Rules.rulesetKey(ruleset), Rules.rulesetKey(Rules.DEFAULT_RULESET));
+    assert.deepStrictEqual(Rules.parseRuleset(Rules.formatRuleset(ruleset)), ruleset);
+    assert.throws(() => Rules.parseRuleset('{}'), /Not an Avengement Lite ruleset/);
+    assert.deepStrictEqual(Rules.createRuleset({ boardSize: 4 }), Rules.createRuleset({ boardWidth: 4, boardHeight: 4 }));
+});
+
+test('a ruleset changes how the game plays', () => {
+    const ruleset = Rules.createRuleset({ strikeDamage: 3, startPositions: { 1: { row: 0, col: 1 }, 2: { row: 1, col: 1 } } });
+    const state = Rules.initialState(ruleset);
+    state.players[1].ap = 1;
+    const next = Rules.applyAction(state, { type: 'strike', row: 1, col: 1 });
+    assert.strictEqual(next.players[2].hp, 4);
+    assert.strictEqual(next.ruleset, ruleset);
+});
+
+// Player 1 next to Player 2 in the middle of the board with AP for a strike and a shove,
+// on a board with the given terrain
+function adjacentTerrainState(terrain) {
+    const ruleset = Rules.createRuleset({ startPositions: { 1: { row: 0, col: 1 }, 2: { row: 1, col: 1 } }, terrain });
+    const state = Rules.initialState(ruleset);
+    state.players[1].ap = 2;
+    return state;
+}
+
+test('blocked squares cannot be moved onto, moved across or shoved into', () => {
+    const ruleset = Rules.createRuleset({
+        boardHeight: 5,
+        startPositions: { 1: { row: 0, col: 1 }, 2: { row: 4, col: 1 } },
+        terrain: [{ row: 1, col: 1, type: 'blocked' }]
+    });
+    const state = Rules.initialState(ruleset);
+    state.players[1].ap = 2;
+    const moves = Rules.legalActions(state).filter(action => action.type === 'move');
+    assert.deepStrictEqual(moves.map(({ row, col }) => `${row},${col}`), ['0,0', '0,2', '1,0', '1,2']);
+
+    const struck = Rules.applyAction(adjacentTerrainState([{ row: 2, col: 1, type: 'blocked' }]), { type: 'strike', row: 1, col: 1 });
+    assert.ok(!Rules.isLegalAction(struck, { type: 'shove', row: 2, col: 1 }));
+    assert.ok(Rules.isLegalAction(struck, { type: 'shove', row: 2, col: 2 }));
+
+    assert.throws(() => Rules.createRuleset({ terrain: [{ row: 0, col: 1, type: 'blocked' }] }), /Player 1 is a blocked square/);
+    assert.throws(() => Rules.createRuleset({ terrain: [{ row: 1, col: 1, type: 'lava' }] }), /one of: blocked, healing, hazard/);
+    assert.throws(() => Rules.createRuleset({ terrain: [{ row: 1, col: 1, type: 'hazard' }, { row: 1, col: 1, type: 'healing' }] }), /lists square \(1, 1\) twice/);
+});
+
+test('a fighter shoved onto a hazard takes damage', () => {
+    const struck = Rules.applyAction(adjacentTerrainState([{ row: 2, col: 2, type: 'hazard' }]), { type: 'strike', row: 1, col: 1 });
+    const events = [];
+    const shoved = Rules.applyAction(struck, { type: 'shove', row: 2, col: 2 }, events);
+    assert.strictEqual(shoved.players[2].hp, 3);
+    assert.ok(events.some(event => event.type === 'hazard' && event.player === 2 && event.damage === 2));
+
+    // Moving onto a hazard does no harm
+    const state = Rules.initialState(Rules.createRuleset({ terrain: [{ row: 1, col: 1, type: 'hazard' }] }));
+    state.players[1].ap = 1;
+    assert.strictEqual(Rules.applyAction(state, { type: 'move', row: 1, col: 1 }).players[1].hp, 7);
+});
+
+test('a fighter ending their turn on a healing square regains HP, up to their maximum', () => {
+    const state = Rules.initialState(Rules.createRuleset({ healingAmount: 2, terrain: [{ row: 0, col: 1, type: 'healing' }] }));
+    state.players[1].hp = 4;
+    const events = [];
+    const healed = Rules.applyAction(state, { type: 'endTurn' }, events);
+    assert.strictEqual(healed.players[1].hp, 6);
+    assert.deepStrictEqual(events[0], { type: 'terrainHeal', player: 1, hpGained: 2 });
+
+    state.players[1].hp = 6;
+    assert.strictEqual(Rules.applyAction(state, { type: 'endTurn' }).players[1].hp, 7);
+});
+
+// A new game with Player 1 playing a class and holding some AP
+function classState(fighterClass, ap, fields = {}) {
+    const state = Rules.initialState(Rules.createRuleset({ ...fields, classes: { 1: fighterClass, 2: 'warrior' } }));
+    state.players[1].ap = ap;
+    return state;
+}
+
+test('each fighter class adjusts the ruleset\'s HP and AP, never below 1', () => {
+    const stats = fighterClass => {
+        const { name, maxHp, maxAp, ability } = Rules.fighterStats(classState(fighterClass, 0).ruleset, 1);
+        return [name, maxHp, maxAp, ability];
+    };
+    assert.deepStrictEqual(stats('warrior'), ['Warrior', 7, 6, 'lunging']);
+    assert.deepStrictEqual(stats('guardian'), ['Guardian', 10, 4, 'bash']);
+    assert.deepStrictEqual(stats('ranger'), ['Ranger', 5, 7, 'shot']);
+    assert.deepStrictEqual(stats('monk'), ['Monk', 6, 6, 'secondWind']);
+    const tiny = Rules.createRuleset({ maxHp: 1, maxAp: 1, shoveCost: 1, lungingCost: 1, classes: { 1: 'ranger', 2: 'guardian' } });
+    assert.strictEqual(Rules.fighterStats(tiny, 1).maxHp, 1);
+    assert.strictEqual(Rules.fighterStats(tiny, 2).maxAp, 1);
+    assert.strictEqual(Rules.initialState(tiny).players[1].hp, 1);
+    assert.throws(() => Rules.createRuleset({ classes: { 1: 'wizard' } }), /class for Player 1 must be one of/);
+
+    // AP is capped by the fighter's own maximum
+    const ranger = classState('ranger', 7);
+    assert.strictEqual(Rules.applyAction(ranger, { type: 'endTurn' }).players[1].ap, 7);
+});
+
+test('Shield Bash damages and stuns an adjacent enemy, with no shove', () => {
+    const start = { 1: { row: 0, col: 1 }, 2: { row: 1, col: 1 } };
+    assert.ok(!Rules.legalActions(classState('guardian', 2, { startPositions: start })).some(action => action.type === 'bash'));
+    const state = classState('guardian', 3, { startPositions: start });
+    assert.ok(!Rules.legalActions(state).some(action => action.type === 'lunging'));
+    const bashed = Rules.applyAction(state, { type: 'bash', row: 1, col: 1 });
+    assert.strictEqual(bashed.players[1].ap, 0);
+    assert.strictEqual(bashed.players[2].hp, 5);
+    assert.ok(bashed.players[2].stunned);
+    assert.strictEqual(bashed.pendingShove, null);
+
+    // Stunned through the enemy's next turn
+    const enemyTurn = Rules.applyAction(bashed, { type: 'endTurn' });
+    assert.deepStrictEqual(Rules.legalActions(enemyTurn), [{ type: 'endTurn' }]);
+    assert.ok(!Rules.applyAction(enemyTurn, { type: 'endTurn' }).players[2].stunned);
+});
+
+test('Long Shot hits an enemy exactly 2 squares away in a straight line, not past a blocked square', () => {
+    const shots = state => Rules.legalActions(state).filter(action => action.type === 'shot');
+    const state = classState('ranger', 2);
+    assert.deepStrictEqual(shots(state), [{ type: 'shot', row: 2, col: 1 }]);
+    const shot = Rules.applyAction(state, { type: 'shot', row: 2, col: 1 });
+    assert.strictEqual(shot.players[2].hp, 5);
+    assert.strictEqual(shot.players[1].ap, 0);
+
+    assert.deepStrictEqual(shots(classState('ranger', 2, { terrain: [{ row: 1, col: 1, type: 'blocked' }] })), []);
+    assert.deepStrictEqual(shots(classState('ranger', 2, { startPositions: { 1: { row: 0, col: 0 }, 2: { row: 2, col: 1 } } })), []);
+    assert.deepStrictEqual(shots(classState('ranger', 2, { startPositions: { 1: { row: 0, col: 1 }, 2: { row: 1, col: 1 } } })), []);
+});
+
+test('Second Wind restores up to 2 HP and is only offered when hurt', () => {
+    const state = classState('monk', 2);
+    assert.ok(!Rules.legalActions(state).some(action => action.type === 'secondWind'));
+    state.players[1].hp = 5;
+    const healed = Rules.applyAction(state, { type: 'secondWind' });
+    assert.strictEqual(healed.players[1].hp, 6);
+    assert.strictEqual(healed.players[1].ap, 0);
+    state.players[1].hp = 2;
+    assert.strictEqual(Rules.applyAction(state, { type: 'secondWind' }).players[1].hp, 4);
+});
+
+test('in a free-for-all each player takes a turn in order, with Players 3 and 4 starting on the side edges', () => {
+    const ruleset = Rules.createRuleset({ boardWidth: 5, boardHeight: 5, playerCount: 4, startPositions: { 1: { row: 0, col: 2 }, 2: { row: 4, col: 2 } } });
+    assert.deepStrictEqual(ruleset.startPositions[3], { row: 2, col: 0 });
+    assert.deepStrictEqual(ruleset.startPositions[4], { row: 2, col: 4 });
+    assert.deepStrictEqual(Rules.sideIds(ruleset), [1, 2, 3, 4]);
+
+    let state = Rules.initialState(ruleset);
+    const order = [];
+    for (let i = 0; i < 5; i++) {
+        order.push(state.currentPlayer);
+        state = Rules.applyAction(state, { type: 'endTurn' });
+    }
+    assert.deepStrictEqual(order, [1, 2, 3, 4, 1]);
+});
+
+test('a fallen fighter leaves the board and loses their turns, and the last one standing wins', () => {
+    const state = crowdedState(2);
+    state.players[2].hp = 2;
+    state.players[3].hp = 2;
+    const events = [];
+    const first = Rules.applyAction(state, { type: 'strike', row: 0, col: 1 }, events);
+    assert.strictEqual(first.players[2].position, null);
+    assert.strictEqual(first.board[0][1], null);
+    assert.ok(!first.gameOver);
+    assert.ok(events.some(event => event.type === 'eliminated' && event.player === 2));
+    assert.strictEqual(Rules.applyAction(first, { type: 'endTurn' }).currentPlayer, 3);
+
+    const won = Rules.applyAction(first, { type: 'strike', row: 2, col: 1 });
+    assert.ok(won.gameOver);
+    assert.strictEqual(won.winner, 1);
+});
+
+// A team game with Player 1, holding 6 AP, between teammate Player 3 and enemy Player 2
+function teamState(friendlyFire) {
+    const ruleset = Rules.createRuleset({
+        ...Rules.TEAM_RULESET,
+        friendlyFire,
+        startPositions: { 1: { row: 2, col: 2 }, 2: { row: 1, col: 2 }, 3: { row: 2, col: 1 }, 4: { row: 4, col: 4 } }
+    });
+    const state = Rules.initialState(ruleset);
+    state.players[1].ap = 6;
+    return state;
+}
+
+test('with teams the sides alternate, and a side may hand its turn to another of its fighters first', () => {
+    assert.throws(() => Rules.createRuleset({ teams: true }), /teams need a playerCount of 4/);
+    const ruleset = Rules.TEAM_RULESET;
+    assert.deepStrictEqual(Rules.sideIds(ruleset), [1, 2]);
+    assert.deepStrictEqual(Rules.playerIds(ruleset).map(id => Rules.sideOf(ruleset, id)), [1, 2, 1, 2]);
+    assert.strictEqual(Rules.sideName(ruleset, 2), 'Team 2');
+
+    let state = Rules.initialState(ruleset);
+    assert.deepStrictEqual(Rules.legalActions(state)[0], { type: 'selectFighter', row: 0, col: 3 });
+    state = Rules.applyAction(state, { type: 'selectFighter', row: 0, col: 3 });
+    assert.strictEqual(state.currentPlayer, 3);
+    assert.ok(!Rules.legalActions(state).some(action => action.type === 'selectFighter'));
+
+    // The turn passes to the other side's lowest-numbered fighter, and the side's fighters all gain AP
+    state = Rules.applyAction(state, { type: 'endTurn' });
+    assert.strictEqual(state.currentPlayer, 2);
+    assert.strictEqual(state.players[1].ap, 1);
+    assert.strictEqual(state.players[3].ap, 1);
+    state = Rules.applyAction(state, { type: 'endTurn' });
+    assert.strictEqual(state.currentPlayer, 1);
+});
+
+test('teammates are not struck, unless friendly fire lets Lunging Strikes hit them', () => {
+    const state = teamState(false);
+    const strikes = Rules.legalActions(state).filter(action => action.type === 'strike');
+    assert.deepStrictEqual(strikes, [{ type: 'strike', row: 1, col: 2 }]);
+    const lunged = Rules.applyAction(state, { type: 'lunging' });
+    assert.strictEqual(lunged.players[2].hp, 5);
+    assert.strictEqual(lunged.players[3].hp, 7);
+
+    const friendly = Rules.applyAction(teamState(true), { type: 'lunging' });
+    assert.strictEqual(friendly.players[2].hp, 5);
+    assert.strictEqual(friendly.players[3].hp, 5);
+});
+
+test('a team wins once both of the other side\'s fighters are down', () => {
+    const state = teamState(false);
+    state.players[2].hp = 2;
+    const oneDown = Rules.applyAction(state, { type: 'strike', row: 1, col: 2 });
+    assert.ok(!oneDown.gameOver);
+    assert.strictEqual(Rules.applyAction(oneDown, { type: 'endTurn' }).currentPlayer, 4);
+
+    state.players[4].hp = 0;
+    state.players[4].position = null;
+    state.board[4][4] = null;
+    const won = Rules.applyAction(state, { type: 'strike', row: 1, col: 2 });
+    assert.ok(won.gameOver);
+    assert.strictEqual(won.winner, 1);
+});
@@ -0,0 +1,199 @@
+// Game server tests for Avengement Lite: run with `node --test`
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('node:net');
+const Rules = require('../rules');
+const { GameServer } = require('../server');
+
+// Send a raw HTTP request and resolve with the status line of the reply
+function statusLine(port, requestText) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, () => socket.write(requestText));
+        let reply = '';
+        socket.on('data', chunk => reply += chunk);
+        socket.on('end', () => resolve(reply.split('\r\n')[0]));
+        socket.on('error', reject);
+    });
+}
+
+test('malformed request paths are answered with 400 and the server keeps running', async () => {
+    const server = new GameServer();
+    const port = await server.listen(0);
+    try {
+        const get = (target, headers = '') => statusLine(port, `GET ${target} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n${headers}\r\n`);
+        const upgrade = 'Connection: Upgrade\r\nUpgrade: websocket\r\nSec-WebSocket-Version: 13\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n';
+
+        assert.strictEqual(await get('/%E0%A4%A'), 'HTTP/1.1 400 Bad Request');
+        assert.strictEqual(await get('//'), 'HTTP/1.1 400 Bad Request');
+        assert.strictEqual(await statusLine(port, `GET // HTTP/1.1\r\nHost: localhost\r\n${upgrade}\r\n`), 'HTTP/1.1 400 Bad Request');
+        assert.strictEqual(await get('/index.html'), 'HTTP/1.1 200 OK');
+    } finally {
+        await server.close();
+    }
+});
+
+// A client as the server sees one, whose connection records what it is sent
+function fakeClient() {
+    const sent = [];
+    const connection = { send: message => sent.push(message), close() {} };
+    return { sent, client: { connection, room: null, player: null, hosting: null, watching: null } };
+}
+
+test('a broadcast host can only publish a game that replays from its starting position', async () => {
+    const server = new GameServer();
+    const host = fakeClient();
+    const watcher = fakeClient();
+    try {
+        server.handleMessage(host.client, { type: 'host', code: 'CAST' });
+        server.handleMessage(watcher.client, { type: 'watch', code: 'CAST' });
+        const { ruleset, ...position } = Rules.initialState();
+        const setup = { ...position, ruleset };
+
+        const rejected = [
+            [null, []],
+            [setup, null],
+            [setup, [null]],
+            [{ ...setup, ruleset: { maxHp: 99 } }, []],
+            [{ ...setup, turn: 7 }, []],
+            [{ foo: 1 }, []],
+            [setup, [{ type: 'strike', row: 0, col: 0 }]]
+        ];
+        for (const [badSetup, actions] of rejected) {
+            host.sent.length = 0;
+            server.handleMessage(host.client, { type: 'hostSync', setup: badSetup, actions });
+            assert.strictEqual(host.sent.length, 1);
+            assert.match(host.sent[0].message, /^Broadcast rejected: /);
+        }
+
+        watcher.sent.length = 0;
+        server.handleMessage(host.client, { type: 'hostSync', setup, actions: [{ type: 'rest' }] });
+        assert.deepStrictEqual(watcher.sent, [{ type: 'action', index: 0, action: { type: 'rest' } }]);
+    } finally {
+        await server.close();
+    }
+});
+
+// The last message the server sent a client
+const lastSent = ({ sent }) => sent[sent.length - 1];
+
+test('a room seats two players and only relays legal actions on the mover\'s turn', async () => {
+    const server = new GameServer();
+    const [first, second, third] = [fakeClient(), fakeClient(), fakeClient()];
+    try {
+        server.handleMessage(first.client, { type: 'join', room: 'bad code!' });
+        assert.match(lastSent(first).message, /Room codes are/);
+
+        server.handleMessage(first.client, { type: 'action', action: { type: 'rest' } });
+        assert.match(lastSent(first).message, /Join a room first/);
+
+        server.handleMessage(first.client, { type: 'join', room: 'ROOM' });
+        assert.strictEqual(lastSent(first).player, 1);
+        assert.deepStrictEqual(lastSent(first).setup, Rules.initialState());
+        server.handleMessage(first.client, { type: 'action', action: { type: 'rest' } });
+        assert.match(lastSent(first).message, /Waiting for an opponent/);
+
+        server.handleMessage(second.client, { type: 'join', room: 'ROOM' });
+        assert.strictEqual(lastSent(second).player, 2);
+        server.handleMessage(third.client, { type: 'join', room: 'ROOM' });
+        assert.match(lastSent(third).message, /Room ROOM is full/);
+
+        server.handleMessage(second.client, { type: 'action', action: { type: 'rest' } });
+        assert.match(lastSent(second).message, /not your turn/);
+        server.handleMessage(first.client, { type: 'action', action: 'rest' });
+        assert.match(lastSent(first).message, /Malformed action/);
+        server.handleMessage(first.client, { type: 'action', action: { type: 'strike', row: 2, col: 1 } });
+        assert.match(lastSent(first).message, /Illegal action/);
+        server.handleMessage(first.client, { type: 'restart' });
+        assert.match(lastSent(first).message, /still in progress/);
+
+        server.handleMessage(first.client, { type: 'action', action: { type: 'rest', extra: 'dropped' } });
+        const relayed = { type: 'action', index: 0, action: { type: 'rest' } };
+        assert.deepStrictEqual(lastSent(first), relayed);
+        assert.deepStrictEqual(lastSent(second), relayed);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a player rejoining with their token gets their seat and the game so far', async () => {
+    const server = new GameServer();
+    const [first, second, rejoined] = [fakeClient(), fakeClient(), fakeClient()];
+    try {
+        server.handleMessage(first.client, { type: 'join', room: 'ROOM' });
+        const { token } = lastSent(first);
+        server.handleMessage(second.client, { type: 'join', room: 'ROOM' });
+        server.handleMessage(first.client, { type: 'action', action: { type: 'rest' } });
+
+        server.handleMessage(rejoined.client, { type: 'join', room: 'ROOM', token });
+        const joined = lastSent(rejoined);
+        assert.strictEqual(joined.player, 1);
+        assert.strictEqual(joined.token, token);
+        assert.deepStrictEqual(joined.actions, [{ type: 'rest' }]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('spectators follow a room\'s game but cannot play in it', async () => {
+    const server = new GameServer();
+    const [first, second, watcher] = [fakeClient(), fakeClient(), fakeClient()];
+    try {
+        server.handleMessage(watcher.client, { type: 'watch', code: 'ROOM' });
+        assert.match(lastSent(watcher).message, /No game called ROOM/);
+
+        server.handleMessage(first.client, { type: 'join', room: 'ROOM' });
+        server.handleMessage(second.client, { type: 'join', room: 'ROOM' });
+        server.handleMessage(first.client, { type: 'action', action: { type: 'rest' } });
+        server.handleMessage(watcher.client, { type: 'watch', code: 'ROOM' });
+        const watching = watcher.sent.find(message => message.type === 'watching');
+        assert.deepStrictEqual(watching.actions, [{ type: 'rest' }]);
+        assert.deepStrictEqual(watching.setup, Rules.initialState());
+
+        server.handleMessage(watcher.client, { type: 'action', action: { type: 'rest' } });
+        assert.match(lastSent(watcher).message, /Spectators cannot send actions/);
+        server.handleMessage(second.client, { type: 'action', action: { type: 'rest' } });
+        assert.deepStrictEqual(lastSent(watcher), { type: 'action', index: 1, action: { type: 'rest' } });
+    } finally {
+        await server.close();
+    }
+});
+
+test('whoever opens a room chooses its rules, which must be valid', async () => {
+    const server = new GameServer();
+    const [first, second] = [fakeClient(), fakeClient()];
+    try {
+        server.handleMessage(first.client, { type: 'join', room: 'ROOM', ruleset: { maxHp: 99 } });
+        assert.match(lastSent(first).message, /maxHp must be a whole number/);
+        server.handleMessage(second.client, { type: 'watch', code: 'ROOM' });
+        assert.match(lastSent(second).message, /No game called ROOM/);
+
+        const ruleset = Rules.createRuleset({ maxHp: 9, boardWidth: 4 });
+        server.handleMessage(first.client, { type: 'join', room: 'ROOM', ruleset });
+        assert.deepStrictEqual(lastSent(first).setup, Rules.initialState(ruleset));
+        server.handleMessage(second.client, { type: 'join', room: 'ROOM', ruleset: Rules.DEFAULT_RULESET });
+        assert.deepStrictEqual(lastSent(second).setup.ruleset, ruleset);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a team room has a seat for each side', async () => {
+    const server = new GameServer();
+    const [first, second, third] = [fakeClient(), fakeClient(), fakeClient()];
+    try {
+        server.handleMessage(first.client, { type: 'join', room: 'TEAMS', ruleset: Rules.TEAM_RULESET });
+        server.handleMessage(second.client, { type: 'join', room: 'TEAMS' });
+        server.handleMessage(third.client, { type: 'join', room: 'TEAMS' });
+        assert.strictEqual(lastSent(second).player, 2);
+        assert.match(lastSent(third).message, /Room TEAMS is full/);
+
+        // Team 1 plays Players 1 and 3, and may hand its turn to Player 3
+        server.handleMessage(first.client, { type: 'action', action: { type: 'selectFighter', row: 0, col: 3 } });
+        server.handleMessage(first.client, { type: 'action', action: { type: 'endTurn' } });
+        assert.strictEqual(lastSent(second).index, 1);
+        server.handleMessage(first.client, { type: 'action', action: { type: 'endTurn' } });
+        assert.match(lastSent(first).message, /not your turn/);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,164 @@
+// Minimal WebSocket server support for Avengement Lite's local servers
+// Implements just enough of RFC 6455 for JSON messages between browsers and server.js:
+// the upgrade handshake, masked client frames (including fragmented ones), text
+// messages, ping/pong and close. Uses only Node.js built-ins, so no install is needed.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024; // Far above any game message; anything bigger is dropped
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+// One open WebSocket. Emits 'message' with each parsed JSON message and 'close' once.
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    // Send a JSON-serializable message as a text frame
+    send(message) {
+        if (this.closed) return;
+        this.writeFrame(OPCODES.text, Buffer.from(JSON.stringify(message)));
+    }
+
+    // Start the closing handshake
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.writeFrame(OPCODES.close, payload);
+        this.socket.end();
+        this.finish();
+    }
+
+    writeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    // Parse as many complete frames as have arrived
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Browsers always mask their frames; refuse anything else or anything oversized
+            if (!masked || length > MAX_MESSAGE_BYTES) {
+                this.close(1002);
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.handleFrame(fin, opcode, payload);
+            if (this.closed) return;
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.ping:
+                this.writeFrame(OPCODES.pong, payload);
+                return;
+            case OPCODES.pong:
+                return;
+            case OPCODES.close:
+                this.close();
+                return;
+        }
+
+        // Text, binary or continuation: collect fragments until the final one
+        this.fragments.push(payload);
+        if (!fin) return;
+
+        const data = Buffer.concat(this.fragments).toString('utf8');
+        this.fragments = [];
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (err) {
+            this.send({ type: 'error', message: 'Messages must be JSON' });
+            return;
+        }
+        this.emit('message', message);
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+}
+
+// Complete the handshake for an HTTP 'upgrade' request; returns the connection, or null if refused
+function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };